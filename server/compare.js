@@ -0,0 +1,198 @@
+// Side-by-side comparison of saved simulation runs ("scenarios"). Every
+// scenario is compared with the first: which spec parameters differ, the
+// treatment mean of each analyte over time, and the difference in each summary
+// statistic of the treatment samples at each time, with a bootstrap interval
+// over realizations.
+
+export const MAX_SCENARIOS = 6
+const BOOTSTRAP_SAMPLES = 1000
+const BOOTSTRAP_SEED = 20240521
+const STATISTICS = ['mean', 'std', 'min', 'max']
+
+// Small seeded generator (mulberry32), so that the same runs always give the
+// same intervals
+function generator(seed) {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const quantile = (sorted, p) => {
+  const h = (sorted.length - 1) * p
+  const i = Math.floor(h)
+  return sorted[i] + (h - i) * ((sorted[i + 1] ?? sorted[i]) - sorted[i])
+}
+
+// Leaf values of a spec by dotted path. Lists of named objects (analytes) are
+// keyed by name and lists of numbers are kept whole.
+function flattenSpec(value, path = '', into = {}) {
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== 'object')) {
+      into[path] = value
+    } else {
+      value.forEach((v, i) => flattenSpec(v, `${path}.${v?.name ?? i}`, into))
+    }
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, v] of Object.entries(value)) {
+      flattenSpec(v, path ? `${path}.${key}` : key, into)
+    }
+  } else {
+    into[path] = value
+  }
+  return into
+}
+
+// Spec parameters that differ between scenarios, with each scenario's value
+// (null where a scenario doesn't set it)
+function parameterDifferences(specs) {
+  const flat = specs.map(spec => {
+    const { version, ...rest } = spec
+    return flattenSpec(rest)
+  })
+  const paths = [...new Set(flat.flatMap(Object.keys))].sort()
+  return paths
+    .map(path => ({ path, values: flat.map(f => f[path] ?? null) }))
+    .filter(({ values }) => new Set(values.map(v => JSON.stringify(v))).size > 1)
+}
+
+// Sums of an analyte's treatment concentrations by realization, for each time,
+// from which summary statistics of any resample of realizations follow
+// without the raw values
+function realizationAggregates(result, name) {
+  const byTime = new Map()
+  for (const row of result.data) {
+    if (row.control) continue
+    const byRealization = byTime.get(row.time) ?? new Map()
+    byTime.set(row.time, byRealization)
+    const x = row.concentrations[name]
+    let a = byRealization.get(row.realization)
+    if (!a) {
+      a = { n: 0, sum: 0, sumSquares: 0, min: Infinity, max: -Infinity }
+      byRealization.set(row.realization, a)
+    }
+    a.n += 1
+    a.sum += x
+    a.sumSquares += x * x
+    a.min = Math.min(a.min, x)
+    a.max = Math.max(a.max, x)
+  }
+  return new Map([...byTime].map(([time, byRealization]) => [time, [...byRealization.values()]]))
+}
+
+// Summary statistics, as in the results' `summary`, of the pooled values of
+// the realizations `aggregates[i]` for each i in `indices`
+function pooledStatistics(aggregates, indices) {
+  let n = 0
+  let sum = 0
+  let sumSquares = 0
+  let min = Infinity
+  let max = -Infinity
+  for (const i of indices) {
+    const a = aggregates[i]
+    n += a.n
+    sum += a.sum
+    sumSquares += a.sumSquares
+    min = Math.min(min, a.min)
+    max = Math.max(max, a.max)
+  }
+  const mean = sum / n
+  const variance = n > 1 ? Math.max(0, (sumSquares - n * mean * mean) / (n - 1)) : 0
+  return { mean, std: Math.sqrt(variance), min, max }
+}
+
+const resample = (random, size) => Array.from({ length: size }, () => Math.floor(random() * size))
+
+// Difference of each summary statistic between a scenario and the reference,
+// with a 95% percentile bootstrap interval from resampling the realizations of
+// both. The difference is distinguishable when the interval excludes zero.
+function statisticDifferences(reference, scenario, random) {
+  const all = (aggregates) => aggregates.map((_, i) => i)
+  const observed = {
+    reference: pooledStatistics(reference, all(reference)),
+    scenario: pooledStatistics(scenario, all(scenario))
+  }
+  const draws = Object.fromEntries(STATISTICS.map(s => [s, []]))
+  for (let b = 0; b < BOOTSTRAP_SAMPLES; b++) {
+    const r = pooledStatistics(reference, resample(random, reference.length))
+    const s = pooledStatistics(scenario, resample(random, scenario.length))
+    for (const statistic of STATISTICS) draws[statistic].push(s[statistic] - r[statistic])
+  }
+  return Object.fromEntries(STATISTICS.map(statistic => {
+    const sorted = draws[statistic].sort((a, b) => a - b)
+    const lower = quantile(sorted, 0.025)
+    const upper = quantile(sorted, 0.975)
+    return [statistic, {
+      value: observed.scenario[statistic],
+      difference: observed.scenario[statistic] - observed.reference[statistic],
+      lower,
+      upper,
+      distinguishable: lower > 0 || upper < 0
+    }]
+  }))
+}
+
+// Treatment mean of an analyte at each time, with the 5th and 95th
+// percentiles of the realization means
+function treatmentSeries(result, name) {
+  const byTime = new Map()
+  for (const row of result.data) {
+    if (row.control) continue
+    const perRealization = byTime.get(row.time) ?? new Map()
+    byTime.set(row.time, perRealization)
+    const a = perRealization.get(row.realization) ?? { n: 0, sum: 0 }
+    perRealization.set(row.realization, a)
+    a.n += 1
+    a.sum += row.concentrations[name]
+  }
+  return [...byTime.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([time, perRealization]) => {
+      const means = [...perRealization.values()].map(a => a.sum / a.n).sort((a, b) => a - b)
+      return {
+        time,
+        mean: means.reduce((a, b) => a + b, 0) / means.length,
+        lower: quantile(means, 0.05),
+        upper: quantile(means, 0.95)
+      }
+    })
+}
+
+// Compares `scenarios`, a list of saved runs `{ id, name, spec }` each with
+// its `result`, against the first. Only analytes every scenario simulated
+// are compared, and statistics only at the first scenario's times; scenarios
+// without treatment samples at one of those times have null differences
+// there.
+export function compareScenarios(scenarios) {
+  const [first, ...others] = scenarios
+  const analytes = first.result.analytes.filter(name => others.every(s => s.result.analytes.includes(name)))
+  const random = generator(BOOTSTRAP_SEED)
+
+  return {
+    scenarios: scenarios.map(({ id, name, finishedAt }) => ({ id, name, finishedAt })),
+    reference: first.id,
+    analytes,
+    parameters: parameterDifferences(scenarios.map(s => s.spec)),
+    series: Object.fromEntries(analytes.map(name => [
+      name,
+      scenarios.map(s => ({ id: s.id, points: treatmentSeries(s.result, name) }))
+    ])),
+    statistics: Object.fromEntries(analytes.map(name => {
+      const compared = others.map(s => ({ id: s.id, byTime: realizationAggregates(s.result, name) }))
+      const reference = [...realizationAggregates(first.result, name)].sort(([a], [b]) => a - b)
+      return [name, reference.map(([time, aggregates]) => ({
+        time,
+        reference: pooledStatistics(aggregates, aggregates.map((_, i) => i)),
+        scenarios: compared.map(({ id, byTime }) => ({
+          id,
+          differences: byTime.has(time) ? statisticDifferences(aggregates, byTime.get(time), random) : null
+        }))
+      }))]
+    })),
+    bootstrapSamples: BOOTSTRAP_SAMPLES
+  }
+}
@@ -0,0 +1,122 @@
+import parquet from 'parquetjs-lite'
+
+// Download formats of job results. NetCDF files are written by a Julia worker;
+// the others are written here.
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  csv: { extension: 'csv', type: 'text/csv' },
+  netcdf: { extension: 'nc', type: 'application/x-netcdf' },
+  parquet: { extension: 'parquet', type: 'application/vnd.apache.parquet' }
+}
+
+// Units of the sample columns, stored with the Parquet schema
+const UNITS = {
+  time: 'years since spreading',
+  x: 'm',
+  y: 'm',
+  mass: 'kg',
+  concentrations: 'kg/kg'
+}
+
+export const exportFilename = (job, format) => `monty-${job.kind}-${job.id}.${EXPORT_FORMATS[format].extension}`
+
+// One flat record per realization and sample, with a column per analyte and
+// one flagging its censored values
+function sampleRecords(result) {
+  return result.data.map(row => {
+    const record = {
+      realization: row.realization,
+      sample: row.sample,
+      location: row.location,
+      round: row.round,
+      time: row.time,
+      control: row.control,
+      x: row.x ?? null,
+      y: row.y ?? null
+    }
+    for (const name of result.analytes) {
+      record[name] = row.concentrations[name]
+    }
+    for (const name of result.analytes) {
+      record[`${name}_censored`] = row.censored?.[name] ?? false
+    }
+    record.mass = row.mass
+    return record
+  })
+}
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Waits for `stream` to drain. Resolves to false if it closes first, e.g.
+// when the client disconnects, and rejects if it fails.
+function drained(stream) {
+  if (stream.destroyed) return Promise.resolve(false)
+  return new Promise((resolve, reject) => {
+    const settle = (error, open) => {
+      stream.off('drain', onDrain).off('close', onClose).off('error', onError)
+      error ? reject(error) : resolve(open)
+    }
+    const onDrain = () => settle(null, true)
+    const onClose = () => settle(null, false)
+    const onError = (error) => settle(error)
+    stream.on('drain', onDrain).on('close', onClose).on('error', onError)
+  })
+}
+
+// Writes the samples of a simulation result to `stream` as CSV, stopping
+// early if the stream is closed
+export async function writeCsv(result, stream) {
+  const records = sampleRecords(result)
+  const columns = [
+    'realization', 'sample', 'location', 'round', 'time', 'control', 'x', 'y',
+    ...result.analytes,
+    ...result.analytes.map(name => `${name}_censored`),
+    'mass'
+  ]
+  stream.write(columns.join(',') + '\n')
+  for (const record of records) {
+    if (stream.destroyed) return
+    if (!stream.write(columns.map(column => csvValue(record[column])).join(',') + '\n') && !(await drained(stream))) {
+      return
+    }
+  }
+  stream.end()
+}
+
+// Writes the samples of a simulation result to a Parquet file at `path`, with
+// the units and the run's manifest in the file's key-value metadata
+export async function writeParquet(result, path) {
+  const fields = {
+    realization: { type: 'INT32' },
+    sample: { type: 'INT32' },
+    location: { type: 'INT32' },
+    round: { type: 'INT32' },
+    time: { type: 'DOUBLE' },
+    control: { type: 'BOOLEAN' },
+    x: { type: 'DOUBLE', optional: true },
+    y: { type: 'DOUBLE', optional: true }
+  }
+  for (const name of result.analytes) {
+    fields[name] = { type: 'DOUBLE' }
+  }
+  for (const name of result.analytes) {
+    fields[`${name}_censored`] = { type: 'BOOLEAN' }
+  }
+  fields.mass = { type: 'DOUBLE' }
+
+  const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(fields), path)
+  writer.setMetadata('units', JSON.stringify(UNITS))
+  if (result.manifest) {
+    writer.setMetadata('manifest', JSON.stringify(result.manifest))
+  }
+  for (const record of sampleRecords(result)) {
+    if (record.x === null) delete record.x
+    if (record.y === null) delete record.y
+    await writer.appendRow(record)
+  }
+  await writer.close()
+}
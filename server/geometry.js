@@ -0,0 +1,77 @@
+// Checks on field outlines, which are rings of [x, y] vertices in metres
+
+// Twice the signed area of a ring, positive when counter-clockwise
+export function signedArea(ring) {
+  let sum = 0
+  ring.forEach(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length]
+    sum += x1 * y2 - x2 * y1
+  })
+  return sum
+}
+
+// Which side of the line through a and b the point p is on: 1, -1 or 0
+function orientation([ax, ay], [bx, by], [px, py]) {
+  return Math.sign((bx - ax) * (py - ay) - (by - ay) * (px - ax))
+}
+
+function onSegment([ax, ay], [bx, by], [px, py]) {
+  return Math.min(ax, bx) <= px && px <= Math.max(ax, bx) &&
+    Math.min(ay, by) <= py && py <= Math.max(ay, by)
+}
+
+function segmentsIntersect(a, b, c, d) {
+  const o1 = orientation(a, b, c)
+  const o2 = orientation(a, b, d)
+  const o3 = orientation(c, d, a)
+  const o4 = orientation(c, d, b)
+  if (o1 !== o2 && o3 !== o4) return true
+  return (o1 === 0 && onSegment(a, b, c)) ||
+    (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) ||
+    (o4 === 0 && onSegment(c, d, b))
+}
+
+// Drops the closing vertex of a ring that repeats its first one, as GeoJSON
+// and WKT rings do
+export function openRing(ring) {
+  const [first, last] = [ring[0], ring[ring.length - 1]]
+  const closed = ring.length > 1 && first[0] === last[0] && first[1] === last[1]
+  return closed ? ring.slice(0, -1) : ring
+}
+
+// Describes what makes a ring an invalid polygon, or returns null if it is a
+// simple polygon with some area
+export function polygonError(ring) {
+  if (ring.length < 3) return 'must have at least 3 distinct vertices'
+
+  const n = ring.length
+  for (let i = 0; i < n; i++) {
+    const [x1, y1] = ring[i]
+    const [x2, y2] = ring[(i + 1) % n]
+    if (x1 === x2 && y1 === y2) return `vertex ${i + 1} is repeated`
+  }
+
+  // Neighbouring edges only overlap if the outline doubles back on itself
+  for (let i = 0; i < n; i++) {
+    const [a, b, c] = [ring[i], ring[(i + 1) % n], ring[(i + 2) % n]]
+    const backwards = (b[0] - a[0]) * (c[0] - b[0]) + (b[1] - a[1]) * (c[1] - b[1]) < 0
+    if (orientation(a, b, c) === 0 && backwards) {
+      return `intersects itself: it doubles back at vertex ${((i + 1) % n) + 1}`
+    }
+  }
+
+  // Edge i runs from vertex i to vertex i + 1; neighbouring edges share a
+  // vertex, so only edges further apart can cross
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue
+      if (segmentsIntersect(ring[i], ring[i + 1], ring[j], ring[(j + 1) % n])) {
+        return `intersects itself: edges ${i + 1} and ${j + 1} cross`
+      }
+    }
+  }
+
+  if (signedArea(ring) === 0) return 'has no area'
+  return null
+}
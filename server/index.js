@@ -3,20 +3,39 @@ import cors from 'cors'
 import { spawn } from 'child_process'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
+import { randomUUID } from 'crypto'
+import { createWriteStream } from 'fs'
+import { cpus } from 'os'
 import fs from 'fs/promises'
+import { JobQueue, JobError, isTerminal, serializeJob } from './jobs.js'
+import { createWorkdir, releaseWorkdir, clearWorkdirs } from './workdirs.js'
+import { JuliaWorkerPool } from './workers.js'
+import {
+  validateSpec,
+  validateSensitivitySpec,
+  validateCalibrationSpec,
+  schema,
+  sensitivitySchema,
+  calibrationSchema
+} from './spec.js'
+import { SweepTracker, expandSweep, serializeSweep } from './sweeps.js'
+import { EXPORT_FORMATS, exportFilename, writeCsv, writeParquet } from './exports.js'
+import { RunStore, checkRunChange } from './runs.js'
+import { compareScenarios, MAX_SCENARIOS } from './compare.js'
+import { parseObservations } from './observations.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
 const app = express()
 const PORT = process.env.PORT || 3001
+const JOB_DIR_RETENTION_MS = parseInt(process.env.JOB_DIR_RETENTION_MS || '0', 10)
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS || String(Math.ceil(cpus().length / 2)), 10)
+const RUNS_DIR = process.env.MONTY_RUNS_DIR || join(__dirname, 'runs')
 
 app.use(cors())
 app.use(express.json())
 
-// Store simulation results temporarily
-let simulationCache = new Map()
-
 // Check if Julia is available
 async function checkJulia() {
   return new Promise((resolve) => {
@@ -30,255 +49,512 @@ async function checkJulia() {
   })
 }
 
-// Generate Julia simulation script
-function generateJuliaScript(params) {
-  return `
-using Pkg
-Pkg.activate(".")
-
-using Monty
-using Random
-using Distributions
-using Meshes
-using JSON
-
-# Set random seed for reproducibility
-const rng = Xoshiro(42)
-
-# Simulation parameters
-const application_rate = ${params.applicationRate}
-const feedstock_ca = ${params.feedstockCa}
-const feedstock_mg = ${params.feedstockMg}
-const soil_ca = ${params.soilCa}
-const soil_mg = ${params.soilMg}
-const leaching_rate_ca = ${params.leachingRateCa}
-const leaching_rate_mg = ${params.leachingRateMg}
-const sampling_depth = ${params.samplingDepth}
-const num_samples = ${params.numSamples}
-const num_realizations = ${params.numRealizations}
-const time_points = [${params.timePoints.join(', ')}]
-
-# Create a simple field geometry
-field = Ball((0.0, 0.0), 50.0)
-
-# Create sample plan
-plan = randomsampleplan(rng, field, num_samples, time_points)
-samp = CoreSet(plan, 5)  # 5 cores per sample
-sim = Simulation((:Ca, :Mg), samp)
-
-# Run multiple realizations
-all_results = []
-
-for realization in 1:num_realizations
-    # Execute plan with some jitter
-    executeplan!(
-        samp,
-        plan,
-        stencil=CircleStencil(5, 1.0),
-        samplerjitter=Jitter(1.0),
-        corejitter=Jitter(0.1)
-    )
-    
-    # Set up simulation parameters
-    unmixed!(rng, sim, depth=TriangularDist(sampling_depth * 0.8, sampling_depth * 1.2))
-    
-    # Application rate with some variability
-    rand!(rng, Normal(application_rate, application_rate * 0.1), sim.Q)
-    
-    # Feedstock properties
-    sim.ρf .= 2e3  # feedstock density
-    feedstockconcentration!(rng, sim, (Ca=feedstock_ca, Mg=feedstock_mg), 0.05)
-    
-    # Soil properties
-    rand!(rng, Normal(1e3, 100), sim.ρs)  # soil density
-    rand!(rng, Normal(soil_ca, soil_ca * 0.1), sim.cs[:Ca])
-    rand!(rng, Normal(soil_mg, soil_mg * 0.1), sim.cs[:Mg])
-    
-    # Leaching models
-    leaching!(sim, :Ca, ExponentialLeaching(λ=leaching_rate_ca), plan)
-    leaching!(sim, :Mg, ExponentialLeaching(λ=leaching_rate_mg), plan)
-    
-    # Mass loss (simple average of elemental losses)
-    massloss!(sim, plan, x -> (x[:Ca] + x[:Mg]) / 2)
-    
-    # Analyze samples with measurement error
-    analyze!(rng, sim, (Ca=0.03, Mg=0.03), 0.005)
-    
-    # Extract results for this realization
-    for i in 1:length(sim.measurements)
-        push!(all_results, Dict(
-            "realization" => realization,
-            "sample" => i,
-            "time" => plan.time[i],
-            "Ca" => sim.measurements[i][:Ca],
-            "Mg" => sim.measurements[i][:Mg],
-            "mass" => sim.measurements[i].mass,
-            "control" => plan.control[i]
-        ))
-    end
-end
-
-# Calculate summary statistics
-ca_values = [r["Ca"] for r in all_results]
-mg_values = [r["Mg"] for r in all_results]
-
-summary_stats = Dict(
-    "Ca" => Dict(
-        "mean" => mean(ca_values),
-        "std" => std(ca_values),
-        "min" => minimum(ca_values),
-        "max" => maximum(ca_values)
-    ),
-    "Mg" => Dict(
-        "mean" => mean(mg_values),
-        "std" => std(mg_values),
-        "min" => minimum(mg_values),
-        "max" => maximum(mg_values)
-    )
-)
-
-# Prepare output
-output = Dict(
-    "data" => all_results,
-    "summary" => summary_stats,
-    "parameters" => Dict(
-        "applicationRate" => application_rate,
-        "feedstockCa" => feedstock_ca,
-        "feedstockMg" => feedstock_mg,
-        "soilCa" => soil_ca,
-        "soilMg" => soil_mg,
-        "leachingRateCa" => leaching_rate_ca,
-        "leachingRateMg" => leaching_rate_mg,
-        "samplingDepth" => sampling_depth,
-        "numSamples" => num_samples,
-        "numRealizations" => num_realizations,
-        "timePoints" => time_points
-    )
-)
-
-# Write results to JSON file
-open("simulation_results.json", "w") do f
-    JSON.print(f, output)
-end
-
-println("Simulation completed successfully!")
-`
+// Julia is checked once at startup; the workers keep Monty loaded between jobs
+const juliaAvailable = await checkJulia()
+
+const workers = new JuliaWorkerPool({
+  size: MAX_CONCURRENT_JOBS,
+  script: join(__dirname, 'julia', 'worker.jl'),
+  cwd: join(__dirname, '..') // Run from project root
+})
+
+// Run one simulation job in its own scratch directory: write the spec, hand it
+// to a Julia worker and read back the results. Aborting the signal kills the
+// worker, which the pool then restarts.
+async function runSimulationJob(job, signal) {
+  if (!juliaAvailable) {
+    throw new JobError('Julia is not available. Please install Julia and ensure it is in your PATH.')
+  }
+
+  console.log(`Starting Monty simulation job ${job.id} with parameters:`, job.params)
+
+  const workdir = await createWorkdir(job.id)
+  await fs.writeFile(workdir.spec, JSON.stringify(job.params))
+  const log = createWriteStream(workdir.log)
+
+  try {
+    await workers.run({
+      id: job.id,
+      kind: job.kind,
+      spec: workdir.spec,
+      output: workdir.results,
+      onOutput: (text, stream) => {
+        log.write(text)
+        if (stream === 'stderr') {
+          console.error(`Julia stderr [${job.id}]:`, text)
+        } else {
+          console.log(`Julia stdout [${job.id}]:`, text)
+        }
+      }
+    }, signal)
+
+    try {
+      const results = JSON.parse(await fs.readFile(workdir.results, 'utf8'))
+      console.log(`Simulation job ${job.id} completed successfully`)
+      return results
+    } catch (fileError) {
+      throw new JobError('Failed to read simulation results', fileError.message)
+    }
+  } finally {
+    log.end()
+    releaseWorkdir(workdir.dir, JOB_DIR_RETENTION_MS)
+  }
 }
 
+const jobs = new JobQueue({
+  run: runSimulationJob,
+  concurrency: MAX_CONCURRENT_JOBS,
+  retention: parseInt(process.env.JOB_RETENTION_MS || String(60 * 60 * 1000), 10)
+})
+
+const sweeps = new SweepTracker(jobs, {
+  retention: parseInt(process.env.JOB_RETENTION_MS || String(60 * 60 * 1000), 10)
+})
+
+// Single simulations, sensitivity analyses and calibrations are kept in the run
+// history once they succeed; sweep runs are not
+const runs = new RunStore(jobs, { dir: RUNS_DIR })
+
+workers.on('message', (jobId, message) => {
+  if (message.type === 'progress') {
+    jobs.progress(jobId, message)
+  }
+})
+
 // API Routes
-app.get('/api/status', async (req, res) => {
-  const juliaAvailable = await checkJulia()
+app.get('/api/status', (req, res) => {
   res.json({
     julia: juliaAvailable,
     server: 'running',
+    jobs: jobs.stats(),
+    workers: workers.stats(),
     timestamp: new Date().toISOString()
   })
 })
 
-app.post('/api/simulate', async (req, res) => {
+// Rejects invalid specs with a 400 listing the problem with each field
+function sendSpecErrors(res, errors) {
+  res.status(400).json({ error: 'Invalid simulation parameters', fields: errors })
+}
+
+// Single runs leave sweeps to /api/sweeps
+const SWEEP_ERRORS = { sweep: 'is only accepted by /api/sweeps' }
+
+app.get('/api/schema', (req, res) => {
+  res.json(schema)
+})
+
+app.get('/api/sensitivity/schema', (req, res) => {
+  res.json(sensitivitySchema)
+})
+
+// Sensitivity analyses of the mixing model run as jobs like simulations;
+// follow them and fetch their results through /api/jobs
+app.post('/api/sensitivity', (req, res) => {
+  const { spec, errors } = validateSensitivitySpec(req.body)
+  if (errors) {
+    return sendSpecErrors(res, errors)
+  }
+  const job = jobs.submit(spec, { kind: 'sensitivity' })
+  runs.track(job)
+  res.status(202).json(serializeJob(job))
+})
+
+app.get('/api/calibration/schema', (req, res) => {
+  res.json(calibrationSchema)
+})
+
+// Calibrations of simulation inputs against observed samples run as jobs too,
+// reporting progress by draws
+app.post('/api/calibrations', (req, res) => {
+  const { spec, errors } = validateCalibrationSpec(req.body)
+  if (errors) {
+    return sendSpecErrors(res, errors)
+  }
+  const job = jobs.submit(spec, { kind: 'calibration' })
+  runs.track(job)
+  res.status(202).json(serializeJob(job))
+})
+
+app.post('/api/jobs', (req, res) => {
+  const { spec, errors } = validateSpec(req.body)
+  if (errors || spec.sweep) {
+    return sendSpecErrors(res, errors ?? SWEEP_ERRORS)
+  }
+  const job = jobs.submit(spec)
+  runs.track(job)
+  res.status(202).json(serializeJob(job))
+})
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id)
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
+  }
+  res.json(serializeJob(job))
+})
+
+// Server-Sent Events stream of a job's state ('job') and progress ('progress')
+// events. The stream ends once the job has finished; fetch the job for results.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id)
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return
+    send('job', serializeJob(updated, { includeResult: false }))
+    if (isTerminal(updated.status)) res.end()
+  }
+  const onProgress = (updated) => {
+    if (updated.id === job.id) send('progress', updated.progress)
+  }
+  // keeps proxies from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+  if (job.progress) send('progress', job.progress)
+  onUpdate(job)
+  if (isTerminal(job.status)) return clearInterval(heartbeat)
+
+  jobs.on('update', onUpdate)
+  jobs.on('progress', onProgress)
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    jobs.off('update', onUpdate)
+    jobs.off('progress', onProgress)
+  })
+})
+
+// Writes a simulation result to a scratch file in `format` (netcdf or
+// parquet) and returns the file's path within `workdir`
+async function writeExportFile(result, format, workdir, signal) {
+  if (format === 'parquet') {
+    const path = join(workdir.dir, 'results.parquet')
+    await writeParquet(result, path)
+    return path
+  }
+  if (!juliaAvailable) {
+    throw new JobError('Julia is not available. Please install Julia and ensure it is in your PATH.')
+  }
+  const path = join(workdir.dir, 'results.nc')
+  await fs.writeFile(workdir.results, JSON.stringify(result))
+  await workers.run({
+    id: `export-${randomUUID()}`,
+    kind: 'netcdf',
+    spec: workdir.results,
+    output: path,
+    onOutput: (text, stream) => {
+      if (stream === 'stderr') console.error('Julia stderr [export]:', text)
+    }
+  }, signal)
+  return path
+}
+
+// A saved run as a succeeded job, for exports of jobs that have since been
+// forgotten
+async function savedJob(id) {
+  const run = runs.get(id)
+  if (!run) return undefined
+  return { id, kind: run.kind, status: 'succeeded', result: await runs.result(id) }
+}
+
+// Downloads a finished job's results as JSON, CSV, NetCDF or Parquet. Only
+// simulation results have the per-sample table the other formats hold. Jobs
+// in the run history can be exported after they are forgotten.
+app.get('/api/jobs/:id/export', async (req, res) => {
+  let job
   try {
-    const params = req.body
-    
-    // Validate parameters
-    if (!params || typeof params !== 'object') {
-      return res.status(400).json({ error: 'Invalid parameters' })
+    job = jobs.get(req.params.id) ?? await savedJob(req.params.id)
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Job not found' })
     }
-    
-    // Check if Julia is available
-    const juliaAvailable = await checkJulia()
-    if (!juliaAvailable) {
-      return res.status(500).json({ 
-        error: 'Julia is not available. Please install Julia and ensure it is in your PATH.' 
-      })
+    console.error(`Failed to read saved run ${req.params.id}:`, error.message)
+    return res.status(500).json({ error: 'Failed to read saved results', details: error.message })
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
+  }
+  if (job.status !== 'succeeded') {
+    return res.status(409).json({ error: `Job is ${job.status}; only succeeded jobs can be exported` })
+  }
+  const format = req.query.format ?? 'json'
+  if (!EXPORT_FORMATS[format] || (job.kind !== 'simulation' && format !== 'json')) {
+    const formats = job.kind === 'simulation' ? Object.keys(EXPORT_FORMATS) : ['json']
+    return res.status(400).json({ error: `Unknown export format; use one of ${formats.join(', ')}` })
+  }
+
+  res.attachment(exportFilename(job, format))
+  res.type(EXPORT_FORMATS[format].type)
+  if (format === 'json') {
+    return res.send(JSON.stringify(job.result))
+  }
+  if (format === 'csv') {
+    try {
+      return await writeCsv(job.result, res)
+    } catch (error) {
+      console.error(`Failed to export job ${job.id} as csv:`, error.message)
+      if (!res.headersSent) {
+        res.removeHeader('Content-Disposition')
+        return res.status(500).json({ error: 'Failed to export results as csv', details: error.message })
+      }
+      return res.destroy()
     }
-    
-    console.log('Starting Monty simulation with parameters:', params)
-    
-    // Generate Julia script
-    const script = generateJuliaScript(params)
-    const scriptPath = join(__dirname, 'temp_simulation.jl')
-    
-    // Write script to temporary file
-    await fs.writeFile(scriptPath, script)
-    
-    // Run Julia simulation
-    const julia = spawn('julia', [scriptPath], {
-      cwd: join(__dirname, '..'), // Run from project root
-      stdio: ['pipe', 'pipe', 'pipe']
-    })
-    
-    let stdout = ''
-    let stderr = ''
-    
-    julia.stdout.on('data', (data) => {
-      stdout += data.toString()
-      console.log('Julia stdout:', data.toString())
-    })
-    
-    julia.stderr.on('data', (data) => {
-      stderr += data.toString()
-      console.error('Julia stderr:', data.toString())
+  }
+
+  // stop the conversion if the client gives up waiting
+  const controller = new AbortController()
+  res.on('close', () => controller.abort())
+  let workdir
+  try {
+    workdir = await createWorkdir(`export-${randomUUID()}`)
+    const path = await writeExportFile(job.result, format, workdir, controller.signal)
+    await new Promise((resolve, reject) => {
+      res.sendFile(path, (error) => (error ? reject(error) : resolve()))
     })
-    
-    julia.on('close', async (code) => {
-      try {
-        // Clean up script file
-        await fs.unlink(scriptPath).catch(() => {})
-        
-        if (code !== 0) {
-          console.error('Julia process failed with code:', code)
-          console.error('stderr:', stderr)
-          return res.status(500).json({ 
-            error: `Simulation failed with exit code ${code}`,
-            details: stderr
-          })
-        }
-        
-        // Read results
-        try {
-          const resultsPath = join(__dirname, '..', 'simulation_results.json')
-          const resultsData = await fs.readFile(resultsPath, 'utf8')
-          const results = JSON.parse(resultsData)
-          
-          // Clean up results file
-          await fs.unlink(resultsPath).catch(() => {})
-          
-          console.log('Simulation completed successfully')
-          res.json(results)
-        } catch (fileError) {
-          console.error('Error reading results:', fileError)
-          res.status(500).json({ 
-            error: 'Failed to read simulation results',
-            details: fileError.message
-          })
-        }
-      } catch (error) {
-        console.error('Error in simulation cleanup:', error)
-        res.status(500).json({ 
-          error: 'Internal server error',
-          details: error.message
-        })
-      }
+  } catch (error) {
+    console.error(`Failed to export job ${job.id} as ${format}:`, error.message)
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition')
+      res.status(500).json({ error: `Failed to export results as ${format}`, details: error.message })
+    }
+  } finally {
+    if (workdir) releaseWorkdir(workdir.dir)
+  }
+})
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = jobs.cancel(req.params.id)
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' })
+  }
+  res.json(serializeJob(job))
+})
+
+// Blocking variant kept for scripts: submits a job and waits for it to finish
+app.post('/api/simulate', (req, res) => {
+  const { spec, errors } = validateSpec(req.body)
+  if (errors || spec.sweep) {
+    return sendSpecErrors(res, errors ?? SWEEP_ERRORS)
+  }
+
+  const job = jobs.submit(spec)
+  runs.track(job)
+  const onUpdate = (updated) => {
+    if (updated !== job || !isTerminal(job.status)) return
+    jobs.off('update', onUpdate)
+    if (job.status === 'succeeded') {
+      res.json(job.result)
+    } else {
+      res.status(500).json({ error: job.error, details: job.details })
+    }
+  }
+  jobs.on('update', onUpdate)
+  // stop the simulation if the client gives up waiting
+  res.on('close', () => {
+    jobs.off('update', onUpdate)
+    if (!isTerminal(job.status)) jobs.cancel(job.id)
+  })
+})
+
+// Sweeps run one job per combination of the swept parameter values and keep
+// the metrics of each run; the jobs themselves can be followed through
+// /api/jobs like any other
+app.post('/api/sweeps', (req, res) => {
+  const { spec, errors } = validateSpec(req.body)
+  if (errors) {
+    return sendSpecErrors(res, errors)
+  }
+  if (!spec.sweep) {
+    return sendSpecErrors(res, { sweep: 'is required' })
+  }
+  const { runs, errors: runErrors } = expandSweep(spec)
+  if (runErrors) {
+    return sendSpecErrors(res, runErrors)
+  }
+  const sweep = sweeps.submit(spec.sweep.parameters, runs)
+  res.status(202).json(serializeSweep(sweep))
+})
+
+app.get('/api/sweeps/:id', (req, res) => {
+  const sweep = sweeps.get(req.params.id)
+  if (!sweep) {
+    return res.status(404).json({ error: 'Sweep not found' })
+  }
+  res.json(serializeSweep(sweep))
+})
+
+// Server-Sent Events stream of a sweep's state ('sweep') whenever one of its
+// runs changes state, ending once every run has finished
+app.get('/api/sweeps/:id/events', (req, res) => {
+  const sweep = sweeps.get(req.params.id)
+  if (!sweep) {
+    return res.status(404).json({ error: 'Sweep not found' })
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.flushHeaders()
+
+  const onUpdate = (updated) => {
+    if (updated.id !== sweep.id) return
+    res.write(`event: sweep\ndata: ${JSON.stringify(serializeSweep(updated))}\n\n`)
+    if (isTerminal(updated.status)) res.end()
+  }
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000)
+
+  onUpdate(sweep)
+  if (isTerminal(sweep.status)) return clearInterval(heartbeat)
+
+  sweeps.on('update', onUpdate)
+  res.on('close', () => {
+    clearInterval(heartbeat)
+    sweeps.off('update', onUpdate)
+  })
+})
+
+app.delete('/api/sweeps/:id', (req, res) => {
+  const sweep = sweeps.cancel(req.params.id)
+  if (!sweep) {
+    return res.status(404).json({ error: 'Sweep not found' })
+  }
+  res.json(serializeSweep(sweep))
+})
+
+// Checks and parses a CSV of observed samples (the request body) against the
+// comma-separated `analytes` of a simulation, with concentrations in `units`
+// (ppm or kg/kg). Nothing is stored; clients keep the parsed observations.
+app.post('/api/observations', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  const analytes = (req.query.analytes ?? '').split(',').map(name => name.trim()).filter(Boolean)
+  if (typeof req.body !== 'string' || analytes.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid observations',
+      fields: typeof req.body !== 'string' ? { file: 'must be sent as text/csv' } : { analytes: 'is required' }
     })
-    
-    julia.on('error', (error) => {
-      console.error('Failed to start Julia process:', error)
-      res.status(500).json({ 
-        error: 'Failed to start Julia process',
-        details: error.message
-      })
+  }
+  const { observations, analytes: present, errors } = parseObservations(req.body, analytes, req.query.units)
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid observations', fields: errors })
+  }
+  res.json({ observations, analytes: present })
+})
+
+// Run history: saved single simulations, sensitivity analyses and calibrations,
+// by job ID
+app.get('/api/runs', (req, res) => {
+  const { kind, tag } = req.query
+  res.json(runs.list({ kind, tag }))
+})
+
+// Replies to a failed read or change of a saved run: not found when its files
+// are gone, e.g. deleted by a request racing this one
+function sendRunError(res, id, error) {
+  if (error.code === 'ENOENT') {
+    return res.status(404).json({ error: 'Run not found' })
+  }
+  console.error(`Failed to access run ${id}:`, error.message)
+  res.status(500).json({ error: 'Failed to access run', details: error.message })
+}
+
+// Compares saved simulation runs `ids` against the first of them
+app.post('/api/runs/compare', async (req, res) => {
+  const { ids } = req.body ?? {}
+  if (!Array.isArray(ids) || ids.length < 2 || ids.length > MAX_SCENARIOS) {
+    return res.status(400).json({
+      error: 'Invalid comparison',
+      fields: { ids: `must list 2 to ${MAX_SCENARIOS} saved runs` }
     })
-    
+  }
+  const errors = {}
+  ids.forEach((id, i) => {
+    const run = runs.get(id)
+    if (!run) errors[`ids.${i}`] = 'is not a saved run'
+    else if (run.kind !== 'simulation') errors[`ids.${i}`] = 'is not a simulation'
+  })
+  if (new Set(ids).size < ids.length) errors.ids = 'must not repeat a run'
+  if (Object.keys(errors).length) {
+    return res.status(400).json({ error: 'Invalid comparison', fields: errors })
+  }
+  let scenarios
+  try {
+    scenarios = await Promise.all(ids.map(async id => ({ ...runs.get(id), result: await runs.result(id) })))
   } catch (error) {
-    console.error('Simulation error:', error)
-    res.status(500).json({ 
-      error: 'Internal server error',
-      details: error.message
-    })
+    return sendRunError(res, ids.join(', '), error)
+  }
+  try {
+    res.json(compareScenarios(scenarios))
+  } catch (error) {
+    console.error('Failed to compare runs:', error.message)
+    res.status(500).json({ error: 'Failed to compare runs', details: error.message })
+  }
+})
+
+app.get('/api/runs/:id', async (req, res) => {
+  const run = runs.get(req.params.id)
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' })
+  }
+  try {
+    res.json({ ...run, result: await runs.result(run.id) })
+  } catch (error) {
+    sendRunError(res, run.id, error)
+  }
+})
+
+// Renames (`name`, null for none) or retags (`tags`, a list) a run
+app.patch('/api/runs/:id', async (req, res) => {
+  const { name, tags } = req.body ?? {}
+  const errors = checkRunChange({ name, tags })
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid run changes', fields: errors })
+  }
+  try {
+    const run = await runs.change(req.params.id, { name, tags })
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+    res.json(run)
+  } catch (error) {
+    sendRunError(res, req.params.id, error)
   }
 })
 
+app.delete('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await runs.delete(req.params.id)
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' })
+    }
+    res.json(run)
+  } catch (error) {
+    sendRunError(res, req.params.id, error)
+  }
+})
+
+await clearWorkdirs()
+await runs.load()
+
+if (juliaAvailable) {
+  workers.start()
+} else {
+  console.warn('Julia is not available; simulations will fail until it is installed and the server restarted')
+}
+
 app.listen(PORT, () => {
   console.log(`Monty simulation server running on port ${PORT}`)
   console.log(`API available at http://localhost:${PORT}/api`)
-})
\ No newline at end of file
+})
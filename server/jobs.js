@@ -0,0 +1,139 @@
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+
+const TERMINAL_STATES = new Set(['succeeded', 'failed', 'cancelled'])
+
+export const isTerminal = (status) => TERMINAL_STATES.has(status)
+
+// Error raised by a job runner, carrying extra output (e.g. Julia's stderr)
+export class JobError extends Error {
+  constructor(message, details) {
+    super(message)
+    this.name = 'JobError'
+    this.details = details
+  }
+}
+
+// In-memory simulation job queue. Jobs are simulations unless submitted with
+// another `kind` (e.g. 'sensitivity') and are run by the `run(job, signal)`
+// callback, at most `concurrency` at a time, and finished jobs are forgotten
+// after `retention` milliseconds. Emits 'update' with the job on every state
+// change and 'progress' with the job when a running job reports progress.
+export class JobQueue extends EventEmitter {
+  constructor({ run, concurrency = 1, retention = 60 * 60 * 1000 }) {
+    super()
+    // every blocking /api/simulate request and event stream subscribes
+    this.setMaxListeners(0)
+    this.run = run
+    this.concurrency = Math.max(1, concurrency)
+    this.retention = retention
+    this.jobs = new Map()
+    this.pending = []
+    this.active = new Map()
+  }
+
+  // Queues a job and starts it if a slot is free. Callers that must see its
+  // first updates can pick its `id` and register it beforehand.
+  submit(params, { kind = 'simulation', id = randomUUID() } = {}) {
+    const job = {
+      id,
+      kind,
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      result: null,
+      error: null,
+      details: null
+    }
+    this.jobs.set(job.id, job)
+    this.pending.push(job)
+    this.emit('update', job)
+    this.drain()
+    return job
+  }
+
+  get(id) {
+    return this.jobs.get(id)
+  }
+
+  // Cancels a queued or running job. Running jobs are aborted through their
+  // signal, which kills the Julia process. Returns the job, or undefined.
+  cancel(id) {
+    const job = this.jobs.get(id)
+    if (!job || isTerminal(job.status)) return job
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(j => j !== job)
+    } else {
+      this.active.get(id)?.abort()
+    }
+    this.finish(job, 'cancelled', { error: 'Job was cancelled' })
+    return job
+  }
+
+  // Records progress of a running job from `completed` and `total` counts,
+  // estimating the time left from the average time per step so far
+  progress(id, { completed, total, summary = null }) {
+    const job = this.jobs.get(id)
+    if (!job || job.status !== 'running') return
+
+    const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000
+    const eta = completed > 0 ? elapsed / completed * (total - completed) : null
+    job.progress = { completed, total, elapsed, eta, summary }
+    this.emit('progress', job)
+  }
+
+  stats() {
+    return {
+      queued: this.pending.length,
+      running: this.active.size,
+      concurrency: this.concurrency
+    }
+  }
+
+  drain() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift())
+    }
+  }
+
+  async start(job) {
+    const controller = new AbortController()
+    this.active.set(job.id, controller)
+    job.status = 'running'
+    job.startedAt = new Date().toISOString()
+    this.emit('update', job)
+
+    try {
+      const result = await this.run(job, controller.signal)
+      this.finish(job, 'succeeded', { result })
+    } catch (error) {
+      this.finish(job, 'failed', {
+        error: error.message,
+        details: error.details ?? null
+      })
+    } finally {
+      this.active.delete(job.id)
+      this.drain()
+    }
+  }
+
+  finish(job, status, fields) {
+    // a cancelled job stays cancelled when its runner rejects afterwards
+    if (isTerminal(job.status)) return
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() })
+    this.emit('update', job)
+    setTimeout(() => this.jobs.delete(job.id), this.retention).unref()
+  }
+}
+
+// Public view of a job, as returned by the API
+export function serializeJob(job, { includeResult = true } = {}) {
+  const { id, kind, status, createdAt, startedAt, finishedAt, progress, error, details } = job
+  const view = { id, kind, status, createdAt, startedAt, finishedAt, progress, error, details }
+  if (includeResult) view.result = job.result
+  return view
+}
@@ -0,0 +1,136 @@
+# Comparison of treatment and control samples, included by simulate.jl. Each
+# realization is one simulated trial; a test detects the weathering signal in
+# it when its p-value is below the significance level, and the fraction of
+# realizations with a detection is the power of the trial design.
+
+# Two-sided p-value of Welch's t-test that `x` and `y` have the same mean
+function welchttest(x, y)
+    vx, vy = var(x) / length(x), var(y) / length(y)
+    difference = mean(x) - mean(y)
+    iszero(vx + vy) && return iszero(difference) ? 1.0 : 0.0
+    t = difference / sqrt(vx + vy)
+    df = (vx + vy)^2 / (vx^2 / (length(x) - 1) + vy^2 / (length(y) - 1))
+    2 * ccdf(TDist(df), abs(t))
+end
+
+# Ranks of `values`, averaged over ties, and the tie correction Σ(t³ - t)
+# over groups of t tied values
+function tiedranks(values)
+    order = sortperm(values)
+    ranks = Vector{Float64}(undef, length(values))
+    ties = 0.0
+    i = 1
+    while i ≤ length(values)
+        j = i
+        while j < length(values) && values[order[j+1]] == values[order[i]]
+            j += 1
+        end
+        ranks[order[i:j]] .= (i + j) / 2
+        ties += (j - i + 1)^3 - (j - i + 1)
+        i = j + 1
+    end
+    return ranks, ties
+end
+
+# Two-sided p-value of the Mann-Whitney U test that `x` and `y` come from the
+# same distribution, with the normal approximation corrected for ties
+function mannwhitneytest(x, y)
+    nx, ny = length(x), length(y)
+    n = nx + ny
+    ranks, ties = tiedranks(vcat(x, y))
+    U = sum(view(ranks, 1:nx)) - nx * (nx + 1) / 2
+    σ = sqrt(nx * ny / 12 * ((n + 1) - ties / (n * (n - 1))))
+    iszero(σ) && return 1.0
+    2 * ccdf(Normal(), abs(U - nx * ny / 2) / σ)
+end
+
+# Two-sided p-value of the difference-in-differences: the change in the
+# treatment mean since the baseline round minus the change in the control
+# mean, over the standard error of the four independent means, with
+# Welch-Satterthwaite degrees of freedom. Samples of paired plans are
+# correlated between rounds, which makes this conservative for them.
+function diffindiff(treatment, treatment₀, control, control₀)
+    groups = (treatment, treatment₀, control, control₀)
+    v = [var(g) / length(g) for g ∈ groups]
+    change = mean(treatment) - mean(treatment₀)
+    estimate = change - (mean(control) - mean(control₀))
+    iszero(sum(v)) && return iszero(estimate) ? 1.0 : 0.0
+    df = sum(v)^2 / sum(v[i]^2 / (length(groups[i]) - 1) for i ∈ 1:4)
+    2 * ccdf(TDist(df), abs(estimate) / sqrt(sum(v)))
+end
+
+# Wilson score interval of a proportion of `k` out of `n`
+function wilson(k, n; level=0.95)
+    z = quantile(Normal(), (1 + level) / 2)
+    p = k / n
+    d = 1 + z^2 / n
+    center = (p + z^2 / (2n)) / d
+    halfwidth = z * sqrt(p * (1 - p) / n + z^2 / (4n^2)) / d
+    return max(center - halfwidth, 0.0), min(center + halfwidth, 1.0)
+end
+
+meanornothing(x) = isempty(x) ? nothing : mean(x)
+
+# Detection rate of a test over realizations from its p-values
+function detectionrate(pvalues, α)
+    n = length(pvalues)
+    iszero(n) && return nothing
+    k = count(<(α), pvalues)
+    lower, upper = wilson(k, n)
+    Dict(
+        "rate" => k / n,
+        "lower" => lower,
+        "upper" => upper,
+        "detections" => k,
+        "realizations" => n,
+    )
+end
+
+"""
+    poweranalysis(rows, names, α)
+
+Compares treatment and control samples of every realization and sampling round in the result `rows` of a simulation, for each analyte in `names`, with a t-test, a Mann-Whitney test and a difference-in-differences against the first round. Returns, for each analyte and round, the mean treatment - control difference and the detection rate of each test at significance level `α` with a 95 % confidence interval, or `nothing` if there are no control samples. Realizations with fewer than two samples in a group are left out of a test.
+"""
+function poweranalysis(rows, names, α::Real)
+    any(r -> r["control"], rows) || return nothing
+    times = sort(unique(r["time"] for r ∈ rows))
+    realizations = sort(unique(r["realization"] for r ∈ rows))
+    baseline = first(times)
+
+    enough(groups...) = all(g -> length(g) ≥ 2, groups)
+
+    analytes = Dict{String,Any}()
+    for name ∈ map(string, names)
+        # Values of each group, by (realization, time, control)
+        groups = Dict{Tuple{Int,Float64,Bool},Vector{Float64}}()
+        for r ∈ rows
+            key = (r["realization"], r["time"], r["control"])
+            push!(get!(groups, key, Float64[]), r["concentrations"][name])
+        end
+        group(r, t, control) = get(groups, (r, t, control), Float64[])
+
+        analytes[name] = map(times) do t
+            t_test, mann_whitney, did, differences = (Float64[] for _ ∈ 1:4)
+            for r ∈ realizations
+                treatment, control = group(r, t, false), group(r, t, true)
+                enough(treatment, control) || continue
+                push!(differences, mean(treatment) - mean(control))
+                push!(t_test, welchttest(treatment, control))
+                push!(mann_whitney, mannwhitneytest(treatment, control))
+                t == baseline && continue
+                T₀, C₀ = group(r, baseline, false), group(r, baseline, true)
+                enough(T₀, C₀) || continue
+                push!(did, diffindiff(treatment, T₀, control, C₀))
+            end
+            Dict(
+                "time" => t,
+                "difference" => meanornothing(differences),
+                "tTest" => detectionrate(t_test, α),
+                "mannWhitney" => detectionrate(mann_whitney, α),
+                "diffInDiff" => detectionrate(did, α),
+            )
+        end
+    end
+
+    return Dict("alpha" => α, "baseline" => baseline, "analytes" => analytes)
+end
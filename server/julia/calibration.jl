@@ -0,0 +1,183 @@
+# Approximate Bayesian calibration of simulation inputs against observed
+# samples by rejection sampling: inputs are drawn from their uniform priors,
+# each draw simulates one realization of the calibration spec's simulation
+# (server/spec/calibration-spec.schema.json), and the draws whose samples come
+# closest to the observations are kept as posterior samples. Samples are
+# compared through the mean and standard deviation of each analyte at each time
+# point, for treatment and control samples apart.
+#
+# The worker (worker.jl) includes this file once, after simulate.jl; it can also
+# be run on its own from the project root:
+#
+#     julia --project=. server/julia/calibration.jl spec.json results.json
+
+isdefined(Main, :WebSimulation) || include(joinpath(@__DIR__, "simulate.jl"))
+
+module WebCalibration
+
+using ..WebSimulation: simulate
+using Random
+using Statistics
+
+export calibrate
+
+const HISTOGRAM_BINS = 20
+
+# Mean, standard deviation (NaN for a single value) and count of each group of
+# `(analyte, time, control, value)` samples
+function groupstatistics(samples)
+    groups = Dict{Tuple{String,Float64,Bool},Vector{Float64}}()
+    for (name, t, control, value) ∈ samples
+        push!(get!(groups, (name, t, control), Float64[]), value)
+    end
+    Dict(
+        key => (mean(v), length(v) > 1 ? std(v) : NaN, length(v)) for
+        (key, v) ∈ groups
+    )
+end
+
+# Root mean square difference of the simulated group statistics from the
+# observed ones, relative to the observed group means. Infinite when the
+# simulation has no samples for an observed group.
+function distance(simulated, observed)
+    total = 0.0
+    count = 0
+    for (key, (m, s, _)) ∈ observed
+        haskey(simulated, key) || return Inf
+        m′, s′, _ = simulated[key]
+        scale = max(m, eps())
+        total += ((m′ - m) / scale)^2
+        count += 1
+        if isfinite(s) && isfinite(s′)
+            total += ((s′ - s) / scale)^2
+            count += 1
+        end
+    end
+    sqrt(total / count)
+end
+
+# Sets the input a prior is about to `value` in a simulation spec
+function setinput!(spec::AbstractDict, prior::AbstractDict, value::Real)
+    parameter = prior["parameter"]
+    if parameter == "applicationRate"
+        spec["applicationRate"] = value
+        return spec
+    end
+    name = prior["analyte"]
+    analyte = only(a for a ∈ spec["analytes"] if a["name"] == name)
+    if parameter == "leachingRate"
+        analyte["leaching"]["rate"] = value
+    elseif parameter == "leachingLimit"
+        analyte["leaching"]["limit"] = value
+    else
+        analyte[parameter] = value # soil or feedstock
+    end
+    spec
+end
+
+# Posterior summary of one calibrated input from its accepted draws `x`
+function marginal(prior::AbstractDict, x::AbstractVector)
+    lo, hi = Float64(prior["min"]), Float64(prior["max"])
+    counts = zeros(Int, HISTOGRAM_BINS)
+    for v ∈ x
+        k = floor(Int, (v - lo) / (hi - lo) * HISTOGRAM_BINS) + 1
+        counts[clamp(k, 1, HISTOGRAM_BINS)] += 1
+    end
+    Dict(
+        "parameter" => prior["parameter"],
+        "analyte" => get(prior, "analyte", nothing),
+        "min" => lo,
+        "max" => hi,
+        "mean" => mean(x),
+        "median" => median(x),
+        "lower" => quantile(x, 0.025),
+        "upper" => quantile(x, 0.975),
+        "histogram" => Dict(
+            "edges" => collect(range(lo, hi, length=HISTOGRAM_BINS + 1)),
+            "counts" => counts,
+        ),
+    )
+end
+
+"""
+    calibrate([progress,] spec)
+
+Calibrates the inputs named by the priors of a calibration spec parsed from JSON against its observations, returning the results as a `Dict` ready to be written as JSON. Every one of the spec's `draws` takes each input from its uniform prior and simulates one realization of the spec's `simulation` with it; the `acceptance` fraction of draws whose samples are closest to the observations are kept. Samples are compared by the mean and standard deviation of each analyte's samples in every time point and kind (treatment or control) the observations have. Gives the accepted draws with their distances and, for each input, its posterior mean, median, 95 % credible interval and a histogram over the prior range. The optional `progress(completed, total)` function is called with the number of draws done, at most a few times per second and always after the last draw.
+"""
+calibrate(spec::AbstractDict) = calibrate((_...) -> nothing, spec)
+
+function calibrate(progress::Function, spec::AbstractDict)
+    rng = Xoshiro(spec["seed"])
+    priors = spec["priors"]
+    ndraws = Int(spec["draws"])
+    naccepted = max(1, round(Int, spec["acceptance"] * ndraws))
+
+    base = deepcopy(spec["simulation"])
+    base["numRealizations"] = 1
+    base["output"] = Dict("stages" => false)
+    timepoints = Float64.(base["timePoints"])
+    timepoint(t) = timepoints[argmin(abs.(timepoints .- t))]
+
+    observed = groupstatistics(
+        (name, timepoint(o["time"]), o["control"], Float64(x)) for
+        o ∈ spec["observations"] for
+        (name, x) ∈ o["concentrations"] if !isnothing(x)
+    )
+    names = unique(first.(keys(observed)))
+
+    draws = Matrix{Float64}(undef, length(priors), ndraws)
+    distances = Vector{Float64}(undef, ndraws)
+    last_report = 0.0
+    for i ∈ 1:ndraws
+        sim = deepcopy(base)
+        for (j, prior) ∈ enumerate(priors)
+            lo, hi = Float64(prior["min"]), Float64(prior["max"])
+            draws[j, i] = lo + (hi - lo) * rand(rng)
+            setinput!(sim, prior, draws[j, i])
+        end
+        sim["seed"] = rand(rng, 0:(2^48-1))
+        rows = simulate(sim)["data"]
+        simulated = groupstatistics(
+            (name, timepoint(r["time"]), r["control"], x) for r ∈ rows for
+            (name, x) ∈ r["concentrations"] if name ∈ names
+        )
+        distances[i] = distance(simulated, observed)
+
+        if i == ndraws || time() - last_report > 0.5
+            last_report = time()
+            progress(i, ndraws)
+        end
+    end
+
+    accepted = partialsortperm(distances, 1:naccepted)
+    tolerance = distances[last(accepted)]
+    isfinite(tolerance) ||
+        error("too few draws had simulated samples for every observed group")
+
+    return Dict(
+        "posterior" => [
+            marginal(prior, draws[j, accepted]) for
+            (j, prior) ∈ enumerate(priors)
+        ],
+        "samples" => [
+            Dict("values" => draws[:, i], "distance" => distances[i]) for
+            i ∈ accepted
+        ],
+        "draws" => ndraws,
+        "accepted" => naccepted,
+        "tolerance" => tolerance,
+        "statistics" =>
+            sum(isfinite(s) ? 2 : 1 for (_, s, _) ∈ values(observed)),
+        "parameters" => spec,
+    )
+end
+
+end
+
+if abspath(PROGRAM_FILE) == @__FILE__
+    using .WebCalibration
+    using .WebSimulation: writeresults
+    using JSON
+    writeresults(ARGS[2], calibrate(JSON.parsefile(ARGS[1])))
+    println("Calibration completed successfully!")
+end
@@ -0,0 +1,116 @@
+# Carbon dioxide removal estimates, included by simulate.jl. The theoretical
+# CDR potential of a feedstock comes from its mobile cation contents. The
+# removal implied by a simulated trial comes from the share of the feedstock's
+# cations that left the sampled soil between sampling rounds: the excess of
+# treatment samples over the baseline soil shrinks as cations leach away.
+
+const MOBILE_CATIONS = ("Ca", "Mg", "Na", "K")
+
+# Tonnes per hectare in one kilogram per square metre
+const TONNES_PER_HECTARE = 10.0
+
+# Mean and 5th and 95th percentiles of `x` over realizations, leaving out
+# realizations where the estimate is undefined
+function band(x)
+    x = filter(isfinite, x)
+    isempty(x) && return nothing
+    Dict(
+        "mean" => mean(x),
+        "lower" => quantile(x, 0.05),
+        "upper" => quantile(x, 0.95),
+        "realizations" => length(x),
+    )
+end
+
+# Fraction of the feedstock's cations lost since the reference round in each
+# realization and later round, and the CO₂ removal it implies given the CDR
+# `potentials` of the cations
+function impliedremoval(rows, cations, potentials, times, Q)
+    reference = first(times)
+    pretimes = sort(unique(r["time"] for r ∈ rows if r["time"] < 0))
+    baseline = if any(r -> r["control"], rows)
+        "control"
+    elseif !isempty(pretimes)
+        "preSpreading"
+    else
+        "soil"
+    end
+
+    # Samples by (realization, time, control)
+    groups = Dict{Tuple{Int,Float64,Bool},Vector{Dict{String,Any}}}()
+    for r ∈ rows
+        key = (r["realization"], r["time"], r["control"])
+        push!(get!(groups, key, Dict{String,Any}[]), r)
+    end
+    function groupmean(key, name)
+        haskey(groups, key) || return NaN
+        mean(r -> r["concentrations"][name], groups[key])
+    end
+
+    # Feedstock-derived excess concentration of treatment samples
+    function excess(k, t, cation)
+        name = cation["name"]
+        soil = if baseline == "control"
+            groupmean((k, t, true), name)
+        elseif baseline == "preSpreading"
+            mean(t′ -> groupmean((k, t′, false), name), pretimes)
+        else
+            Float64(cation["soil"])
+        end
+        groupmean((k, t, false), name) - soil
+    end
+
+    realizations = sort(unique(r["realization"] for r ∈ rows))
+    rounds = map(times[2:end]) do t
+        perrealization = map(realizations) do k
+            map(cations) do cation
+                initial = excess(k, reference, cation)
+                lost = initial > 0 ? 1 - excess(k, t, cation) / initial : NaN
+                potential = potentials[cation["name"]]
+                (lost, lost * TONNES_PER_HECTARE * Q * potential)
+            end
+        end
+        Dict(
+            "time" => t,
+            "cations" => Dict(
+                cation["name"] => Dict(
+                    "fractionLost" => band([p[j][1] for p ∈ perrealization]),
+                    "co2" => band([p[j][2] for p ∈ perrealization]),
+                ) for (j, cation) ∈ enumerate(cations)
+            ),
+            "total" => band([sum(last, p) for p ∈ perrealization]),
+        )
+    end
+
+    Dict("reference" => reference, "baseline" => baseline, "rounds" => rounds)
+end
+
+"""
+    cdrestimate(rows, analytes, Q)
+
+CO₂ removal figures for a simulation with the spec's `analytes` and application rate `Q` (kg/m²), from its result `rows`. Gives the theoretical CDR potential of the feedstock from its Ca, Mg, Na and K contents, in t CO₂ per t rock and per hectare, and for every round after the first one after spreading, the fraction of each cation lost since that round and the implied CO₂ removal (t/ha) over realizations. The baseline soil is taken from control samples if there are any, from rounds before spreading otherwise, or else from the spec. Returns `nothing` without mobile cation analytes.
+"""
+function cdrestimate(rows, analytes, Q::Real)
+    cations = filter(a -> a["name"] ∈ MOBILE_CATIONS, analytes)
+    isempty(cations) && return nothing
+    potentials = Dict(
+        a["name"] => cdrpotential(a["name"], Float64(a["feedstock"])) for
+        a ∈ cations
+    )
+    total = sum(values(potentials))
+
+    times = sort(unique(r["time"] for r ∈ rows if r["time"] ≥ 0))
+    removal = if length(times) ≥ 2
+        impliedremoval(rows, cations, potentials, times, Q)
+    end
+
+    Dict(
+        "applicationRate" => Q,
+        "potential" => Dict(
+            "cations" => potentials,
+            "total" => total,
+            "perHectare" => TONNES_PER_HECTARE * Q * total,
+        ),
+        "removal" => removal,
+    )
+end
@@ -0,0 +1,84 @@
+# NetCDF export of simulation results, included by simulate.jl. The result
+# rows are gathered back into the stack that Monty's `simulationstack` builds,
+# so that the file has the same layout as Monty's own `tonetcdf` output.
+
+"""
+    writenetcdf(path, results)
+
+Writes simulation `results`, as returned by `simulate` and read back from JSON, to a NetCDF file at `path` with Monty's `tonetcdf`: measured concentrations and sample mass in `data` over the realization, analyte and sample dimensions, with `censored` flagging the concentrations censored below their detection limit, mean core positions in `x` and `y`, and the control flag, location, round and time of each sample. Adds the units of each variable and the run's manifest (seed, spec as JSON, Monty and Julia versions) as attributes.
+"""
+function writenetcdf(path::AbstractString, results::AbstractDict)
+    rows = results["data"]
+    names = Symbol.(results["analytes"])
+    nrealizations = maximum(r -> r["realization"], rows)
+    nsamples = maximum(r -> r["sample"], rows)
+
+    data = fill(NaN, nrealizations, length(names) + 1, nsamples)
+    censored = zeros(Int8, size(data))
+    x = fill(NaN, nrealizations, nsamples)
+    y = fill(NaN, nrealizations, nsamples)
+    control = fill(false, nsamples)
+    location = zeros(UInt16, nsamples)
+    rounds = zeros(UInt16, nsamples)
+    times = zeros(nsamples)
+    for r ∈ rows
+        i, k = r["realization"], r["sample"]
+        flags = get(r, "censored", Dict())
+        for (j, name) ∈ enumerate(names)
+            data[i, j, k] = r["concentrations"][string(name)]
+            censored[i, j, k] = get(flags, string(name), false)
+        end
+        data[i, end, k] = r["mass"]
+        x[i, k] = get(r, "x", NaN)
+        y[i, k] = get(r, "y", NaN)
+        control[k] = r["control"]
+        location[k] = r["location"]
+        rounds[k] = r["round"]
+        times[k] = r["time"]
+    end
+
+    sims = DimStack((
+        data=DimArray(
+            data,
+            (
+                realization=1:nrealizations,
+                analyte=[names..., :mass],
+                sample=1:nsamples,
+            ),
+        ),
+        x=DimArray(x, (:realization, :sample)),
+        y=DimArray(y, (:realization, :sample)),
+        control=DimArray(control, (:sample,)),
+        location=DimArray(location, (:sample,)),
+        round=DimArray(rounds, (:sample,)),
+        time=DimArray(times, (:sample,)),
+    ))
+    tonetcdf(path, sims)
+
+    NCDataset(path, "a") do ds
+        ds["data"].attrib["units"] = "kg/kg (mass: kg)"
+        ds["x"].attrib["units"] = "m"
+        ds["y"].attrib["units"] = "m"
+        ds["time"].attrib["units"] = "years since spreading"
+        ds["control"].attrib["description"] = "1 for control samples"
+        defVar(
+            ds,
+            "censored",
+            censored,
+            ("realization", "analyte", "sample");
+            attrib=[
+                "description" =>
+                    "1 for concentrations below the detection limit, " *
+                    "reported as the limit",
+            ],
+        )
+        manifest = get(results, "manifest", nothing)
+        isnothing(manifest) && return
+        ds.attrib["seed"] = Int64(manifest["seed"])
+        ds.attrib["spec"] = JSON.json(manifest["spec"])
+        ds.attrib["montyVersion"] = manifest["montyVersion"]
+        ds.attrib["juliaVersion"] = manifest["juliaVersion"]
+        ds.attrib["timestamp"] = manifest["timestamp"]
+    end
+    nothing
+end
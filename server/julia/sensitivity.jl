@@ -0,0 +1,99 @@
+# Sensitivity of the analyte concentration in a core to the inputs of Monty's
+# mixing model, following scripts/core_sensitivity.jl: local gradients at the
+# nominal inputs and Sobol indices over the input ranges of a sensitivity spec
+# (server/spec/sensitivity-spec.schema.json).
+#
+# The worker (worker.jl) includes this file once; it can also be run on its own
+# from the project root:
+#
+#     julia --project=. server/julia/sensitivity.jl spec.json results.json
+
+# ForwardDiff and GlobalSensitivity come from the scripts environment
+push!(LOAD_PATH, joinpath(@__DIR__, "..", "..", "scripts"))
+
+module WebSensitivity
+
+using Monty
+using ForwardDiff: gradient
+using GlobalSensitivity: gsa, Sobol
+
+export sensitivity
+
+# Spec names of the inputs of `mixing`, in argument order without the area:
+# γ, d, Q, ρf, cf, ρs, cs, 𝓁 and ℒ
+const INPUTS = [
+    "feedstockFraction",
+    "depth",
+    "applicationRate",
+    "feedstockDensity",
+    "feedstockConcentration",
+    "soilDensity",
+    "soilConcentration",
+    "analyteLoss",
+    "massLoss",
+]
+
+function coreconcentration(x)
+    # the cross-sectional area is always 1, doesn't matter
+    core = mixing(x[1], x[2], 1.0, x[3:end]...)
+    return core[:analyte]
+end
+
+# Sobol estimates are noisy and undefined without variance; JSON has no NaN
+finiteornothing(x) = isfinite(x) ? x : nothing
+
+"""
+    sensitivity(spec)
+
+Sensitivity of the core concentration to each input of `mixing` in a sensitivity spec parsed from JSON, returned as a `Dict` ready to be written as JSON. Gives the concentration at the nominal inputs, and for each input its gradient there, the change in ppm for a 1 % change of the input and, for inputs with a range, the first order and total Sobol indices over the ranges of all such inputs. Inputs without a range are held at their nominal values.
+"""
+function sensitivity(spec::AbstractDict)
+    parameters = spec["parameters"]
+    x = [Float64(parameters[name]["value"]) for name ∈ INPUTS]
+    g = gradient(coreconcentration, x)
+
+    ranged = findall(name -> haskey(parameters[name], "min"), INPUTS)
+    bounds = map(ranged) do i
+        input = parameters[INPUTS[i]]
+        (Float64(input["min"]), Float64(input["max"]))
+    end
+    samples = Int(spec["samples"])
+    indices = gsa(
+        u -> coreconcentration(setindex!(copy(x), u, ranged)),
+        Sobol(order=[0, 1]),
+        bounds,
+        samples=samples,
+    )
+
+    inputs = map(enumerate(INPUTS)) do (i, name)
+        k = findfirst(==(i), ranged)
+        Dict(
+            "name" => name,
+            "value" => x[i],
+            "gradient" => g[i],
+            "change" => 1e6 * 0.01 * x[i] * g[i],
+            "firstOrder" =>
+                isnothing(k) ? nothing : finiteornothing(indices.S1[k]),
+            "total" => isnothing(k) ? nothing : finiteornothing(indices.ST[k]),
+        )
+    end
+
+    return Dict(
+        "concentration" => coreconcentration(x),
+        "inputs" => inputs,
+        "samples" => samples,
+        "evaluations" => samples * (length(ranged) + 2),
+        "parameters" => spec,
+    )
+end
+
+end
+
+if abspath(PROGRAM_FILE) == @__FILE__
+    using .WebSensitivity
+    using JSON
+    open(ARGS[2], "w") do f
+        JSON.print(f, sensitivity(JSON.parsefile(ARGS[1])))
+    end
+    println("Sensitivity analysis completed successfully!")
+end
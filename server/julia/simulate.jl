@@ -0,0 +1,517 @@
+# Fixed entry point for web app simulations. A simulation is described by a
+# spec (server/spec/simulation-spec.schema.json), which the server validates
+# before it gets here. The spec is only ever read as data; no code is generated.
+#
+# The worker (worker.jl) includes this file once and calls `simulate` for each
+# job. It can also be run on its own from the project root:
+#
+#     julia --project=. server/julia/simulate.jl spec.json results.json
+
+module WebSimulation
+
+using Monty
+using Random
+using Distributions
+using Meshes
+using GeoStatsFunctions:
+    GaussianCovariance, ExponentialCovariance, SphericalCovariance
+using JSON
+using Dates: now, UTC
+using DimensionalData: DimArray, DimStack
+using NCDatasets: NCDataset, defVar
+
+export simulate, writeresults, writenetcdf
+
+# Summary statistics of a set of values
+summarize(values) = Dict(
+    "mean" => mean(values),
+    "std" => std(values),
+    "min" => minimum(values),
+    "max" => maximum(values),
+)
+
+include("analysis.jl")
+include("carbon.jl")
+include("stages.jl")
+include("export.jl")
+
+# Monty leaching model described by an analyte's `leaching` spec. Models with
+# noise carry their own generator, seeded from `rng`.
+function leachingmodel(rng::AbstractRNG, leaching::AbstractDict)
+    model = leaching["model"]
+    model == "none" && return NoLeaching()
+    C = Float64(get(leaching, "limit", 1.0))
+    σ = Float64(get(leaching, "noise", 0.0))
+    seed = rand(rng, UInt64)
+    if model == "exponential"
+        λ = Float64(leaching["rate"])
+        ExponentialLeaching(λ=λ, C=C, σ=σ, seed=seed)
+    elseif model == "multiExponential"
+        λ = Tuple(Float64.(leaching["rates"]))
+        MultiExponentialLeaching(λ=λ, C=C, σ=σ, seed=seed)
+    elseif model == "seasonal"
+        SeasonalLeaching(
+            λ=Float64(leaching["rate"]),
+            C=C,
+            floor=Float64(get(leaching, "floor", 0.0)),
+            power=Int(get(leaching, "power", 1)),
+            phase=Float64(get(leaching, "phase", π)),
+            σ=σ,
+            seed=seed,
+        )
+    else
+        throw(ArgumentError("unknown leaching model $model"))
+    end
+end
+
+# Monty measurement error model described by an analyte's `measurement` spec
+measurementerror(measurement::AbstractDict) = MeasurementError(
+    relative=Float64(measurement["relativeError"]),
+    absolute=Float64(get(measurement, "absoluteError", 0.0)),
+    replicates=Int(get(measurement, "replicates", 1)),
+    detectionlimit=Float64(get(measurement, "detectionLimit", 0.0)),
+)
+
+# Polygon from an outline in the spec. The server has already checked that it
+# is a simple polygon.
+function polygon(outline::AbstractDict)
+    PolyArea([(Float64(x), Float64(y)) for (x, y) ∈ outline["coordinates"]])
+end
+
+# Field geometry from the spec's outline, or a circle of radius 50 m if it has
+# none
+function fieldgeometry(spec::AbstractDict)
+    haskey(spec, "field") ? polygon(spec["field"]) : Ball((0.0, 0.0), 50.0)
+end
+
+# Width and height of the bounding box of a geometry
+function extent(geom)
+    box = boundingbox(geom)
+    coordinates(maximum(box)) - coordinates(minimum(box))
+end
+
+# Grid dimensions covering `geom` with cells the size of those of a grid with
+# dimensions `dims` over `reference`
+function matchgrid(geom, reference, dims::NTuple{2,Int})
+    cell = extent(reference) ./ dims
+    Tuple(max.(1, round.(Int, extent(geom) ./ cell)))
+end
+
+# Sample plan described by the spec's `plan`, with treatment samples in the
+# field and control samples in the plan's control zone, a random plan if the
+# spec has none
+function sampleplan(rng::AbstractRNG, spec::AbstractDict, field)
+    plan = get(spec, "plan", Dict("type" => "random"))
+    type = plan["type"]
+    times = Float64.(spec["timePoints"])
+    n = Int(spec["numSamples"])
+    control = haskey(plan, "control") ? polygon(plan["control"]) : nothing
+    ncontrol = isnothing(control) ? 0 : Int(get(plan, "controlSamples", 0))
+
+    if type == "grid"
+        grid = plan["grid"]
+        dims = (Int(grid["nx"]), Int(grid["ny"]))
+        overlay(geom, dims) =
+            if get(grid, "placement", "centroid") == "random"
+                gridpointoverlay(rng, geom, dims)
+            else
+                gridpointoverlay(geom, dims)
+            end
+        treatments = collect(overlay(field, dims))
+        isnothing(control) && return pairedsampleplan(treatments, times)
+        controls = collect(overlay(control, matchgrid(control, field, dims)))
+        pairedsampleplan(treatments, controls, times)
+    elseif type == "paired"
+        iszero(ncontrol) && return pairedsampleplan(rng, field, n, times)
+        pairedsampleplan(rng, field, n, control, ncontrol, times)
+    elseif type == "random"
+        iszero(ncontrol) && return randomsampleplan(rng, field, n, times)
+        randomsampleplan(rng, field, n, control, ncontrol, times)
+    else
+        throw(ArgumentError("unknown sample plan $type"))
+    end
+end
+
+# Core stencil described by the spec's `coring.stencil`. Random stencils carry
+# their own generator, seeded from `rng`.
+function corestencil(rng::AbstractRNG, stencil::AbstractDict)
+    type = stencil["type"]
+    type == "single" && return SingleCoreStencil(Float64)
+    N = Int(stencil["cores"])
+    if type == "random"
+        RandomStencil(N, Float64(stencil["spread"]), seed=rand(rng, UInt64))
+    elseif type == "circle"
+        CircleStencil(N, Float64(stencil["radius"]))
+    elseif type == "hubSpoke"
+        HubSpokeStencil(N, Float64(stencil["radius"]))
+    elseif type == "line"
+        θ = deg2rad(Float64(get(stencil, "angle", 0.0)))
+        LineStencil(N, Float64(stencil["spacing"]), θ)
+    else
+        throw(ArgumentError("unknown stencil $type"))
+    end
+end
+
+# Jitter described by a jitter spec, seeded from `rng`. Grid centroid jitters
+# spread points over grid cells of size `cell`.
+function jittermodel(rng::AbstractRNG, jitter::AbstractDict, cell)
+    type = jitter["type"]
+    type == "none" && return NoJitter(Float64)
+    seed = rand(rng, UInt64)
+    if type == "normal"
+        Jitter(Float64(jitter["sigma"]), seed=seed)
+    elseif type == "gridCentroid"
+        centering = Float64(jitter["centering"])
+        GridCentroidJitter(cell[1], cell[2], centering, seed=seed)
+    else
+        throw(ArgumentError("unknown jitter $type"))
+    end
+end
+
+# Stencil, sampler jitter and core jitter described by the spec's `coring`,
+# five cores on a circle of 1 m with normal jitters if it has none
+function coring(rng::AbstractRNG, spec::AbstractDict, field)
+    options = get(spec, "coring", Dict{String,Any}())
+    circle = Dict("type" => "circle", "cores" => 5, "radius" => 1.0)
+    stencil = corestencil(rng, get(options, "stencil", circle))
+    plan = get(spec, "plan", Dict("type" => "random"))
+    cell = if plan["type"] == "grid"
+        extent(field) ./ (plan["grid"]["nx"], plan["grid"]["ny"])
+    else
+        nothing
+    end
+    normal(σ) = Dict("type" => "normal", "sigma" => σ)
+    samplerjitter =
+        jittermodel(rng, get(options, "samplerJitter", normal(1.0)), cell)
+    corejitter = jittermodel(rng, get(options, "coreJitter", normal(0.1)), cell)
+    return stencil, samplerjitter, corejitter
+end
+
+# Univariate distribution described by a distribution spec
+function distribution(spec::AbstractDict)
+    type = spec["type"]
+    if type == "fixed"
+        Dirac(Float64(spec["value"]))
+    elseif type == "uniform"
+        Uniform(Float64(spec["min"]), Float64(spec["max"]))
+    elseif type == "triangular"
+        a, b, c = (Float64(spec[k]) for k ∈ ("min", "max", "mode"))
+        TriangularDist(a, b, c)
+    elseif type == "normal"
+        truncated(Normal(Float64(spec["mean"]), Float64(spec["std"])), 0.0, Inf)
+    else
+        throw(ArgumentError("unknown distribution $type"))
+    end
+end
+
+# Function of `(rng, sim)` setting feedstock fractions and sample depths with
+# the mixing profile described by the spec's `mixing`, leaving the feedstock
+# unmixed if it has none
+function mixingmodel(spec::AbstractDict)
+    d = Float64(spec["samplingDepth"])
+    mixing = get(spec, "mixing", Dict("model" => "unmixed"))
+    model = mixing["model"]
+    depth = if haskey(mixing, "depth")
+        distribution(mixing["depth"])
+    else
+        TriangularDist(d * 0.8, d * 1.2)
+    end
+    if model == "unmixed"
+        (rng, sim) -> unmixed!(rng, sim, depth=depth)
+    elseif model == "triangular"
+        upper = distribution(mixing["upper"])
+        (rng, sim) -> triangularmixing!(rng, sim, depth=depth, upper=upper)
+    elseif model == "uniform"
+        upper = distribution(mixing["upper"])
+        (rng, sim) -> uniformmixing!(rng, sim, depth=depth, upper=upper)
+    elseif model == "exponential"
+        scale = distribution(mixing["scale"])
+        (rng, sim) -> exponentialmixing!(rng, sim, depth=depth, scale=scale)
+    else
+        throw(ArgumentError("unknown mixing model $model"))
+    end
+end
+
+# Covariance model described by a covariance spec, whose sill and nugget are
+# relative to the squared mean, for an input with mean `μ`. A nugget of at
+# least a millionth of the sill keeps covariance matrices positive definite
+# when cores are close together.
+function covariance(spec::AbstractDict, μ::Real)
+    sill = Float64(spec["sill"]) * μ^2
+    nugget = max(Float64(get(spec, "nugget", 0.0)) * μ^2, 1e-6 * sill)
+    range = Float64(spec["range"])
+    model = spec["model"]
+    if model == "gaussian"
+        GaussianCovariance(nugget=nugget, sill=sill, range=range)
+    elseif model == "exponential"
+        ExponentialCovariance(nugget=nugget, sill=sill, range=range)
+    elseif model == "spherical"
+        SphericalCovariance(nugget=nugget, sill=sill, range=range)
+    else
+        throw(ArgumentError("unknown covariance model $model"))
+    end
+end
+
+# Function of `(rng, sim)` setting application rates, with a Gaussian
+# simulator over the cores if the spec's `spatial` has a covariance for them
+# and independently with a 10 % standard deviation otherwise; control samples
+# get none
+function spreadingmodel(spec::AbstractDict, samp::CoreSet, plan::SamplePlan)
+    rate = Float64(spec["applicationRate"])
+    spatial = get(spec, "spatial", Dict{String,Any}())
+    if haskey(spatial, "applicationRate")
+        gs = GaussianSimulator(samp, rate)
+        c = covariance(spatial["applicationRate"], rate)
+        function (rng, sim)
+            updategaussian!(gs, samp.points, c)
+            spreading!(rng, sim, plan, gs)
+            clamp!(sim.Q, 0.0, Inf)
+        end
+    else
+        Q = truncated(Normal(rate, rate * 0.1), 0.0, Inf)
+        (rng, sim) -> spreading!(rng, sim, plan, Q)
+    end
+end
+
+# Function of `(rng, sim)` setting soil concentrations with the means `soil`:
+# with a Gaussian simulator over the cores for analytes that have a covariance
+# in the spec's `spatial`, with a cosimulator for its pair of cosimulated
+# analytes and independently with a 10 % standard deviation otherwise
+function soilmodel(spec::AbstractDict, samp::CoreSet, soil::NamedTuple)
+    spatial = get(spec, "spatial", Dict{String,Any}())
+    simulators = Dict(
+        Symbol(name) => (
+            GaussianSimulator(samp, soil[Symbol(name)]),
+            covariance(c, soil[Symbol(name)]),
+        ) for (name, c) ∈ get(spatial, "soil", Dict{String,Any}())
+    )
+    # The cosimulator works in units of each analyte's mean, so that both can
+    # share a covariance
+    cosimulation = get(spatial, "cosimulation", nothing)
+    paired = if isnothing(cosimulation)
+        ()
+    else
+        Tuple(Symbol.(cosimulation["analytes"]))
+    end
+    if !isempty(paired)
+        ρ = Float64(cosimulation["correlation"])
+        gc = GaussianCosimulator(samp, NamedTuple{paired}((1.0, 1.0)), ρ)
+        cc = covariance(cosimulation["covariance"], 1.0)
+    end
+    function (rng, sim)
+        for name ∈ keys(soil)
+            if haskey(simulators, name)
+                gs, c = simulators[name]
+                updategaussian!(gs, samp.points, c)
+                soilconcentration!(rng, sim, name, gs)
+                clamp!(sim.cs[name], 0.0, Inf)
+            elseif name ∉ paired
+                rand!(rng, Normal(soil[name], soil[name] * 0.1), sim.cs[name])
+            end
+        end
+        if !isempty(paired)
+            updategaussian!(gc, samp.points, cc)
+            soilconcentration!(rng, sim, gc)
+            for name ∈ paired
+                sim.cs[name] .*= soil[name]
+                clamp!(sim.cs[name], 0.0, Inf)
+            end
+        end
+    end
+end
+
+# Reproducibility record of a run: everything needed to repeat it exactly
+function manifest(spec::AbstractDict, seed::Integer)
+    Dict(
+        "seed" => seed,
+        "spec" => spec,
+        "montyVersion" => string(pkgversion(Monty)),
+        "juliaVersion" => string(VERSION),
+        "timestamp" => string(now(UTC)) * "Z",
+    )
+end
+
+"""
+    simulate([progress,] spec)
+
+Runs all realizations described by `spec`, a simulation spec parsed from JSON, and returns the results, ready to be written as JSON. All random draws come from the spec's `seed`, or from a fresh seed if it has none.
+
+# Arguments
+- `progress(completed, total, summary)`: optional, called with the number of completed realizations, the total and running summary statistics, at most a few times per second and always after the last realization.
+- `spec`: the simulation spec; `output.stages` asks for the per-stage results below.
+
+# Returns
+A `Dict` with
+- `analytes`: the analyte names.
+- `data`: one row per sample and realization. Its `censored` flags the concentrations censored below their analyte's detection limit (see `MeasurementError`), which are reported as the limit. With `output.stages`, its `stages` hold the cores and noise-free composite of the sample, with the sampled mixing-model inputs of each core.
+- `summary`: statistics of every analyte over all its samples, pooling time points, treatment and control samples, with the fraction of censored values.
+- `power`: a power analysis of the trial design for plans with control samples (see `poweranalysis`).
+- `cdr`: CO₂ removal estimates for mobile cations (see `cdrestimate`).
+- `parameters` and `manifest`: the spec, and the seed and versions used.
+- `variance`: with `output.stages` only, the sample variance split into field heterogeneity, compositing and measurement (see `variancedecomposition`).
+"""
+simulate(spec::AbstractDict) = simulate((_...) -> nothing, spec)
+
+function simulate(progress::Function, spec::AbstractDict)
+    # Every random draw in the run comes from this seed
+    seed = get(spec, "seed", nothing)
+    if isnothing(seed)
+        seed = rand(RandomDevice(), 0:(2^48-1))
+    end
+    rng = Xoshiro(seed)
+
+    # Simulation parameters
+    num_realizations = Int(spec["numRealizations"])
+    alpha = Float64(get(get(spec, "analysis", Dict()), "alpha", 0.05))
+    application_rate = Float64(spec["applicationRate"])
+    with_stages = get(get(spec, "output", Dict()), "stages", false)
+
+    # Analyte names and per-analyte parameters, in spec order
+    analytes = spec["analytes"]
+    names = Tuple(Symbol(analyte["name"]) for analyte ∈ analytes)
+    peranalyte(f) = NamedTuple{names}(Tuple(Float64(f(a)) for a ∈ analytes))
+    feedstock = peranalyte(a -> a["feedstock"])
+    soil = peranalyte(a -> a["soil"])
+    measurement_error = NamedTuple{names}(
+        Tuple(measurementerror(a["measurement"]) for a ∈ analytes),
+    )
+    mixing! = mixingmodel(spec)
+
+    # Field geometry
+    field = fieldgeometry(spec)
+
+    # Create sample plan
+    plan = sampleplan(rng, spec, field)
+
+    # Jitters and leaching models carry their own generators, so seed them from
+    # the run's
+    stencil, samplerjitter, corejitter = coring(rng, spec, field)
+    samp = CoreSet(plan, stencil)
+    sim = Simulation(names, samp)
+    spread! = spreadingmodel(spec, samp, plan)
+    soil! = soilmodel(spec, samp, soil)
+    leaching = Dict(
+        name => leachingmodel(rng, a["leaching"]) for
+        (name, a) ∈ zip(names, analytes)
+    )
+
+    # Run multiple realizations
+    all_results = Dict{String,Any}[]
+    last_report = 0.0
+
+    # Summary statistics of each analyte over all results so far
+    concentrations(name) = [r["concentrations"][name] for r ∈ all_results]
+    censored(name) = count(r -> r["censored"][name], all_results)
+    function summarizeall()
+        Dict(
+            string(k) => merge(
+                summarize(concentrations(string(k))),
+                Dict("censored" => censored(string(k)) / length(all_results)),
+            ) for k ∈ names
+        )
+    end
+
+    for realization ∈ 1:num_realizations
+        # Execute plan with some jitter
+        executeplan!(
+            samp,
+            plan,
+            stencil=stencil,
+            samplerjitter=samplerjitter,
+            corejitter=corejitter,
+        )
+
+        # Feedstock mixing profile and sample depths
+        mixing!(rng, sim)
+
+        # Application rate with some variability, none on control samples
+        spread!(rng, sim)
+
+        # Feedstock properties
+        sim.ρf .= 2e3  # feedstock density
+        feedstockconcentration!(rng, sim, feedstock, 0.05)
+
+        # Soil properties
+        rand!(rng, Normal(1e3, 100), sim.ρs)  # soil density
+        soil!(rng, sim)
+
+        # Leaching models
+        for name ∈ names
+            leaching!(sim, name, leaching[name], plan)
+        end
+
+        # Mass loss (simple average of elemental losses)
+        massloss!(sim, plan, x -> sum(x) / length(x))
+
+        # Analyze samples with measurement error
+        analyze!(rng, sim, measurement_error, 0.005)
+
+        # Extract results for this realization, with the mean position of
+        # each sample's cores and the cores themselves
+        for i ∈ 1:length(sim.measurements)
+            cores = [coordinates(p) for p ∈ view(samp.points, :, i)]
+            row = Dict{String,Any}(
+                "realization" => realization,
+                "sample" => i,
+                "location" => plan.location[i],
+                "round" => plan.round[i],
+                "time" => plan.time[i],
+                "x" => mean(c -> c[1], cores),
+                "y" => mean(c -> c[2], cores),
+                "cores" => [[c[1], c[2]] for c ∈ cores],
+                "concentrations" => Dict(
+                    string(name) => sim.measurements[i][name] for
+                    name ∈ names
+                ),
+                "censored" => Dict(
+                    string(name) => sim.measurements[i].censored[name] for
+                    name ∈ names
+                ),
+                "mass" => sim.measurements[i].mass,
+                "control" => plan.control[i],
+            )
+            with_stages && (row["stages"] = stages(sim, i, names))
+            push!(all_results, row)
+        end
+
+        # Report progress with running statistics, a few times per second
+        if realization == num_realizations || time() - last_report > 0.5
+            last_report = time()
+            progress(realization, num_realizations, summarizeall())
+        end
+    end
+
+    results = Dict{String,Any}(
+        "analytes" => collect(map(string, names)),
+        "data" => all_results,
+        "summary" => summarizeall(),
+        "power" => poweranalysis(all_results, names, alpha),
+        "cdr" => cdrestimate(all_results, analytes, application_rate),
+        "parameters" => spec,
+        "manifest" => manifest(spec, seed),
+    )
+    if with_stages
+        results["variance"] = variancedecomposition(all_results, names)
+    end
+    return results
+end
+
+"""
+    writeresults(path, output)
+
+Writes simulation results to a JSON file.
+"""
+function writeresults(path::AbstractString, output)
+    open(path, "w") do f
+        JSON.print(f, output)
+    end
+end
+
+end
+
+if abspath(PROGRAM_FILE) == @__FILE__
+    using .WebSimulation
+    using JSON
+    writeresults(ARGS[2], simulate(JSON.parsefile(ARGS[1])))
+    println("Simulation completed successfully!")
+end
@@ -0,0 +1,85 @@
+# Per-stage output, included by simulate.jl when a spec asks for it with
+# `output.stages`. A `Simulation` keeps the cores of every sample, their
+# noise-free composites and the measurements of those separately; the stages
+# let sampling variance be told apart from lab error.
+
+# Sampled mixing-model inputs of each core, named as in sensitivity specs
+const CORE_INPUTS = (
+    "feedstockFraction" => :γ,
+    "depth" => :d,
+    "applicationRate" => :Q,
+    "feedstockDensity" => :ρf,
+    "soilDensity" => :ρs,
+)
+
+stagesample(s, names) = Dict(
+    "concentrations" => Dict(string(k) => s[k] for k ∈ names),
+    "mass" => s.mass,
+)
+
+# Cores, with their inputs, and composite of sample `j` in a simulation
+function stages(sim, j, names)
+    cores = map(1:size(sim.cores, 1)) do i
+        core = stagesample(sim.cores[i, j], names)
+        core["inputs"] = Dict(
+            key => getfield(sim, field)[i, j] for (key, field) ∈ CORE_INPUTS
+        )
+        core
+    end
+    Dict("cores" => cores, "composite" => stagesample(sim.composites[j], names))
+end
+
+# Variance of the measured samples of one realization, time and kind, split
+# into its sources: `compositing` is the core-to-core variance within samples
+# left after averaging their cores, `field` the rest of the variance between
+# composites, and `measurement` the mean squared lab error
+function decompose(rows, name)
+    measured = [r["concentrations"][name] for r ∈ rows]
+    composite = [
+        r["stages"]["composite"]["concentrations"][name] for r ∈ rows
+    ]
+    within = map(rows) do r
+        cores = [c["concentrations"][name] for c ∈ r["stages"]["cores"]]
+        length(cores) > 1 ? var(cores) / length(cores) : 0.0
+    end
+    compositing = mean(within)
+    (
+        field=max(var(composite) - compositing, 0.0),
+        compositing=compositing,
+        measurement=mean((measured .- composite) .^ 2),
+        total=var(measured),
+    )
+end
+
+"""
+    variancedecomposition(rows, names)
+
+Splits the variance of the measured samples of each analyte into field heterogeneity, compositing and measurement, from rows of simulation results with stages. Samples are grouped by realization, time and kind (treatment or control); for each time and kind, gives the mean over realizations of each part and of the total variance, in (kg/kg)². The parts add up to about the total; they are estimates, and the field part is clamped at zero.
+"""
+function variancedecomposition(rows, names)
+    groups = Dict{Tuple{Int,Float64,Bool},Vector{Dict{String,Any}}}()
+    for r ∈ rows
+        key = (r["realization"], r["time"], r["control"])
+        push!(get!(groups, key, Dict{String,Any}[]), r)
+    end
+    cells = sort(unique((t, c) for (_, t, c) ∈ keys(groups)))
+
+    # Mean of each part over the realizations with more than one sample
+    function cell(name, t, control)
+        parts = [
+            decompose(g, name) for ((_, t′, c), g) ∈ groups if
+            t′ == t && c == control && length(g) > 1
+        ]
+        result = Dict{String,Any}("time" => t, "control" => control)
+        for k ∈ (:field, :compositing, :measurement, :total)
+            result[string(k)] =
+                isempty(parts) ? nothing : mean(getfield.(parts, k))
+        end
+        result
+    end
+
+    Dict(
+        string(name) => [cell(string(name), t, c) for (t, c) ∈ cells] for
+        name ∈ names
+    )
+end
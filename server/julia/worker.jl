@@ -0,0 +1,82 @@
+# Long-lived Julia worker for the web server. Loads Monty and the simulation
+# entry point (simulate.jl) once, then runs one simulation per request read
+# from stdin. Messages for the server are written to stdout as single lines
+# starting with "@monty " followed by JSON; anything else on stdout/stderr is
+# treated as log output.
+#
+# Requests look like {"id": "...", "task": "simulation", "spec": "/path/to/spec.json", "output": "/path/to/results.json"},
+# where the task is "simulation" (the default), "sensitivity" for a
+# sensitivity analysis (sensitivity.jl), "calibration" for a calibration
+# (calibration.jl) or "netcdf" to convert the results file given as the spec to
+# NetCDF.
+
+using Pkg
+Pkg.activate(joinpath(@__DIR__, "..", ".."))
+
+using JSON
+
+include(joinpath(@__DIR__, "simulate.jl"))
+using .WebSimulation
+
+include(joinpath(@__DIR__, "calibration.jl"))
+using .WebCalibration
+
+# Simulations still run when the scripts environment that sensitivity analysis
+# needs is not installed; sensitivity requests then fail with this error
+const sensitivityerror = try
+    include(joinpath(@__DIR__, "sensitivity.jl"))
+    nothing
+catch e
+    "sensitivity analysis is not available: " * sprint(showerror, e)
+end
+
+function send(message)
+    println(stdout, "@monty ", JSON.json(message))
+    flush(stdout)
+end
+
+send(Dict("type" => "ready", "julia" => string(VERSION)))
+
+# Reports the progress of request `id` to the server
+function progress(id, completed, total, summary=nothing)
+    send(
+        Dict(
+            "type" => "progress",
+            "id" => id,
+            "completed" => completed,
+            "total" => total,
+            "summary" => summary,
+        ),
+    )
+end
+
+for line ∈ eachline(stdin)
+    isempty(strip(line)) && continue
+    request = JSON.parse(line)
+    id = request["id"]
+    try
+        spec = JSON.parsefile(request["spec"])
+        task = get(request, "task", "simulation")
+        if task == "netcdf"
+            writenetcdf(request["output"], spec)
+        else
+            output = if task == "sensitivity"
+                isnothing(sensitivityerror) || error(sensitivityerror)
+                WebSensitivity.sensitivity(spec)
+            elseif task == "calibration"
+                calibrate(spec) do completed, total
+                    progress(id, completed, total)
+                end
+            else
+                simulate(spec) do completed, total, summary
+                    progress(id, completed, total, summary)
+                end
+            end
+            writeresults(request["output"], output)
+        end
+        send(Dict("type" => "done", "id" => id))
+    catch e
+        message = sprint(showerror, e, catch_backtrace())
+        send(Dict("type" => "error", "id" => id, "message" => message))
+    end
+end
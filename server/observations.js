@@ -0,0 +1,135 @@
+// Observed field samples uploaded as CSV, to compare with simulated ones. Each
+// row is one measured sample: its location, time (years since spreading),
+// whether it is a control sample, and a column per analyte.
+
+export const MAX_OBSERVATIONS = 10000
+const MAX_ERRORS = 20
+const REQUIRED_COLUMNS = ['location', 'time', 'control']
+
+// Units the analyte columns can be given in, as the factor to kg/kg
+export const OBSERVATION_UNITS = { ppm: 1e-6, 'kg/kg': 1 }
+
+const TRUE_VALUES = new Set(['true', '1', 'yes', 'y', 't'])
+const FALSE_VALUES = new Set(['false', '0', 'no', 'n', 'f'])
+
+// Splits CSV text into rows of fields, honouring quoted fields with commas,
+// doubled quotes and line breaks. Blank lines are dropped.
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field)
+      field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  row.push(field)
+  rows.push(row)
+  return rows.filter(r => r.some(f => f.trim() !== ''))
+}
+
+const parseNumber = (text) => (text.trim() === '' ? NaN : Number(text))
+
+// Parses observed samples from CSV `text` whose analyte columns must be among
+// `analytes` and hold concentrations in `units`. Returns `{ observations,
+// analytes }` with concentrations in kg/kg, the analytes the file has, or
+// `{ errors }` by field: `columns` for the header and e.g. `rows.3.Ca` for a
+// bad value on the third data row. Empty analyte cells are missing values.
+export function parseObservations(text, analytes, units = 'ppm') {
+  const scale = OBSERVATION_UNITS[units]
+  if (scale === undefined) {
+    return { errors: { units: `must be one of ${Object.keys(OBSERVATION_UNITS).join(', ')}` } }
+  }
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''))
+  if (!header) {
+    return { errors: { file: 'is empty' } }
+  }
+  const columns = header.map(c => c.trim())
+
+  const missing = REQUIRED_COLUMNS.filter(c => !columns.includes(c))
+  const unknown = columns.filter(c => !REQUIRED_COLUMNS.includes(c) && !analytes.includes(c))
+  const present = analytes.filter(name => columns.includes(name))
+  const problems = []
+  if (missing.length) problems.push(`needs ${missing.join(', ')}`)
+  if (unknown.length) problems.push(`has columns that are not analytes of the simulation: ${unknown.join(', ')}`)
+  if (!present.length) problems.push(`needs a column for at least one of ${analytes.join(', ')}`)
+  if (new Set(columns).size < columns.length) problems.push('repeats a column')
+  if (problems.length) {
+    return { errors: { columns: problems.join('; ') } }
+  }
+  if (rows.length === 0) {
+    return { errors: { rows: 'has no samples' } }
+  }
+  if (rows.length > MAX_OBSERVATIONS) {
+    return { errors: { rows: `has more than ${MAX_OBSERVATIONS} samples` } }
+  }
+
+  const errors = {}
+  const observations = rows.map((fields, i) => {
+    const row = i + 1
+    const value = (column) => (fields[columns.indexOf(column)] ?? '').trim()
+    if (fields.length !== columns.length) {
+      errors[`rows.${row}`] = `has ${fields.length} fields, not ${columns.length}`
+      return null
+    }
+
+    const location = value('location')
+    if (location === '') errors[`rows.${row}.location`] = 'is missing'
+
+    const time = parseNumber(value('time'))
+    if (!Number.isFinite(time)) errors[`rows.${row}.time`] = 'must be a number of years'
+
+    const flag = value('control').toLowerCase()
+    if (!TRUE_VALUES.has(flag) && !FALSE_VALUES.has(flag)) {
+      errors[`rows.${row}.control`] = 'must be true or false'
+    }
+
+    const concentrations = {}
+    for (const name of present) {
+      const text = value(name)
+      if (text === '') {
+        concentrations[name] = null
+        continue
+      }
+      const x = parseNumber(text)
+      if (!Number.isFinite(x) || x < 0) {
+        errors[`rows.${row}.${name}`] = 'must be a nonnegative number'
+      }
+      concentrations[name] = x * scale
+    }
+
+    return {
+      location: /^\d+$/.test(location) ? Number(location) : location,
+      time,
+      control: TRUE_VALUES.has(flag),
+      concentrations
+    }
+  })
+
+  // a file in the wrong layout fails on every row; the first few say enough
+  const rowErrors = Object.entries(errors)
+  if (rowErrors.length) return { errors: Object.fromEntries(rowErrors.slice(0, MAX_ERRORS)) }
+  return { observations, analytes: present }
+}
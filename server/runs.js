@@ -0,0 +1,140 @@
+import { join } from 'path'
+import fs from 'fs/promises'
+import { isTerminal } from './jobs.js'
+
+const NAME_LENGTH = 200
+const TAG_LENGTH = 50
+const MAX_TAGS = 20
+
+// Persistent history of finished runs, one directory per run under `dir` with
+// the run's details in run.json and its results in results.json. Jobs passed
+// to `track` are saved once they succeed, under their job ID. Details of every
+// run are kept in memory; results are read from disk when asked for.
+export class RunStore {
+  constructor(jobs, { dir }) {
+    this.dir = dir
+    this.runs = new Map()
+    this.tracked = new Set()
+    this.writes = new Map()
+    jobs.on('update', (job) => this.update(job))
+  }
+
+  // Reads the runs saved by earlier server processes
+  async load() {
+    await fs.mkdir(this.dir, { recursive: true })
+    for (const entry of await fs.readdir(this.dir)) {
+      try {
+        const run = JSON.parse(await fs.readFile(join(this.dir, entry, 'run.json'), 'utf8'))
+        this.runs.set(run.id, run)
+      } catch (error) {
+        console.error(`Skipping unreadable run ${entry}:`, error.message)
+      }
+    }
+  }
+
+  track(job) {
+    this.tracked.add(job.id)
+  }
+
+  update(job) {
+    if (!this.tracked.has(job.id) || !isTerminal(job.status)) return
+    this.tracked.delete(job.id)
+    if (job.status === 'succeeded') this.save(job)
+  }
+
+  // Lists the run right away; reads and changes of it wait for its files
+  save(job) {
+    const run = {
+      id: job.id,
+      kind: job.kind,
+      name: null,
+      tags: [],
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      spec: job.params,
+      manifest: job.result?.manifest ?? null
+    }
+    this.runs.set(run.id, run)
+    const dir = join(this.dir, run.id)
+    const write = fs.mkdir(dir, { recursive: true })
+      .then(() => writeAtomic(join(dir, 'results.json'), JSON.stringify(job.result)))
+      .then(() => writeAtomic(join(dir, 'run.json'), JSON.stringify(run)))
+      .catch((error) => {
+        console.error(`Failed to save run ${run.id}:`, error.message)
+        this.runs.delete(run.id)
+      })
+      .finally(() => this.writes.delete(run.id))
+    this.writes.set(run.id, write)
+    return run
+  }
+
+  // Saved runs, newest first, optionally only those of a `kind` or with a `tag`
+  list({ kind, tag } = {}) {
+    return [...this.runs.values()]
+      .filter(run => (!kind || run.kind === kind) && (!tag || run.tags.includes(tag)))
+      .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+  }
+
+  get(id) {
+    return this.runs.get(id)
+  }
+
+  async result(id) {
+    await this.writes.get(id)
+    if (!this.runs.has(id)) return undefined
+    return JSON.parse(await fs.readFile(join(this.dir, id, 'results.json'), 'utf8'))
+  }
+
+  // Renames or retags a run. Returns the run, or undefined.
+  async change(id, { name, tags }) {
+    await this.writes.get(id)
+    const run = this.runs.get(id)
+    if (!run) return undefined
+    const changed = {
+      ...run,
+      ...(name !== undefined && { name: name?.trim() || null }),
+      ...(tags !== undefined && { tags: [...new Set(tags.map(tag => tag.trim()).filter(Boolean))] })
+    }
+    await writeAtomic(join(this.dir, id, 'run.json'), JSON.stringify(changed))
+    this.runs.set(id, changed)
+    return changed
+  }
+
+  // Deletes a run and its results. Returns the run, or undefined.
+  async delete(id) {
+    await this.writes.get(id)
+    const run = this.runs.get(id)
+    if (!run) return undefined
+    this.runs.delete(id)
+    await fs.rm(join(this.dir, id), { recursive: true, force: true })
+    return run
+  }
+}
+
+// Writes a file in full or not at all, so that a crash never leaves a
+// truncated run behind
+async function writeAtomic(path, data) {
+  const temporary = `${path}.tmp`
+  await fs.writeFile(temporary, data)
+  await fs.rename(temporary, path)
+}
+
+// Checks a rename or retag request, returning its errors by field or null
+export function checkRunChange({ name, tags }) {
+  const errors = {}
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > NAME_LENGTH)) {
+    errors.name = `must be a string of at most ${NAME_LENGTH} characters`
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) {
+      errors.tags = `must be a list of at most ${MAX_TAGS} tags`
+    } else {
+      tags.forEach((tag, i) => {
+        if (typeof tag !== 'string' || tag.length > TAG_LENGTH) {
+          errors[`tags.${i}`] = `must be a string of at most ${TAG_LENGTH} characters`
+        }
+      })
+    }
+  }
+  return Object.keys(errors).length ? errors : null
+}
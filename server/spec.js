@@ -0,0 +1,326 @@
+import Ajv from 'ajv'
+import { readFileSync } from 'fs'
+import { randomInt } from 'crypto'
+import { openRing, polygonError, signedArea } from './geometry.js'
+
+export const schema = JSON.parse(
+  readFileSync(new URL('./spec/simulation-spec.schema.json', import.meta.url), 'utf8')
+)
+
+export const sensitivitySchema = JSON.parse(
+  readFileSync(new URL('./spec/sensitivity-spec.schema.json', import.meta.url), 'utf8')
+)
+
+export const calibrationSchema = JSON.parse(
+  readFileSync(new URL('./spec/calibration-spec.schema.json', import.meta.url), 'utf8')
+)
+
+export const SPEC_VERSION = schema.properties.version.const
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true, discriminator: true })
+const validate = ajv.compile(schema)
+const validateSensitivity = ajv.compile(sensitivitySchema)
+const validateCalibration = ajv.compile(calibrationSchema)
+
+// Dotted path of the field an Ajv error is about, e.g. 'timePoints.2'
+function errorField(error) {
+  const path = error.instancePath.split('/').slice(1)
+  if (error.keyword === 'required') path.push(error.params.missingProperty)
+  if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty)
+  return path.join('.') || 'spec'
+}
+
+function errorMessage(error) {
+  if (error.keyword === 'required') return 'is required'
+  if (error.keyword === 'additionalProperties') return 'is not a known parameter'
+  if (error.keyword === 'dependencies') return `needs ${error.params.missingProperty} as well`
+  if (error.keyword === 'discriminator') return `has a missing or unknown ${error.params.tag}`
+  return error.message
+}
+
+// Errors of a spec that fails `validate`, keyed by field, or null
+function schemaErrors(validate, spec) {
+  if (validate(spec)) return null
+  const errors = {}
+  for (const error of validate.errors) {
+    errors[errorField(error)] ??= errorMessage(error)
+  }
+  return errors
+}
+
+// Bounds of a distribution spec must be in order
+function checkDistribution(dist, field, errors) {
+  if (!dist) return
+  if ((dist.type === 'uniform' || dist.type === 'triangular') && dist.min >= dist.max) {
+    errors[`${field}.max`] = 'must be greater than min'
+  }
+  if (dist.type === 'triangular' && (dist.mode < dist.min || dist.mode > dist.max)) {
+    errors[`${field}.mode`] = 'must be between min and max'
+  }
+}
+
+// The nugget of a covariance is part of its sill
+function checkCovariance(covariance, field, errors) {
+  if (covariance && covariance.nugget > covariance.sill) {
+    errors[`${field}.nugget`] = 'must not be greater than the sill'
+  }
+}
+
+// Spatially correlated soil concentrations must belong to analytes of the
+// spec, and each analyte is simulated either on its own or cosimulated
+function checkSpatial(spatial, analytes, errors) {
+  if (!spatial) return
+  const names = analytes.map(a => a.name)
+  checkCovariance(spatial.applicationRate, 'spatial.applicationRate', errors)
+  for (const [name, covariance] of Object.entries(spatial.soil ?? {})) {
+    if (!names.includes(name)) errors[`spatial.soil.${name}`] = 'is not one of the analytes'
+    checkCovariance(covariance, `spatial.soil.${name}`, errors)
+  }
+  const cosimulation = spatial.cosimulation
+  if (!cosimulation) return
+  checkCovariance(cosimulation.covariance, 'spatial.cosimulation.covariance', errors)
+  cosimulation.analytes.forEach((name, i) => {
+    const field = `spatial.cosimulation.analytes.${i}`
+    if (!names.includes(name)) {
+      errors[field] = 'is not one of the analytes'
+    } else if (cosimulation.analytes.indexOf(name) < i) {
+      errors[field] = 'must differ from the first analyte'
+    } else if (spatial.soil?.[name]) {
+      errors[field] = `${name} already has its own spatial structure`
+    }
+  })
+}
+
+// Most runs a sweep may fan out to
+export const MAX_SWEEP_RUNS = 100
+
+// Each swept parameter needs values of its kind, and must apply to the spec
+function checkSweep(spec, errors) {
+  const parameters = spec.sweep?.parameters
+  if (!parameters) return
+  let runs = 1
+  parameters.forEach(({ name, values, range }, i) => {
+    const field = `sweep.parameters.${i}`
+    if (!values === !range) {
+      errors[field] = 'needs either values or a range'
+      return
+    }
+    if (parameters.findIndex(p => p.name === name) < i) {
+      errors[`${field}.name`] = `${name} is swept more than once`
+    } else if (name === 'numSamples' && spec.plan?.type === 'grid') {
+      errors[`${field}.name`] = 'numSamples does not apply to grid plans'
+    } else if (name === 'cores' && spec.coring?.stencil.type === 'single') {
+      errors[`${field}.name`] = 'the single core stencil has no core count'
+    }
+    if (name === 'timePoints' && range) {
+      errors[`${field}.range`] = 'timePoints can only be swept over lists of times'
+    }
+    values?.forEach((value, j) => {
+      if (name === 'timePoints' ? !Array.isArray(value) : typeof value !== 'number') {
+        errors[`${field}.values.${j}`] = name === 'timePoints' ? 'must be a list of times' : 'must be a number'
+      }
+    })
+    runs *= values?.length ?? range.steps
+  })
+  if (runs > MAX_SWEEP_RUNS) {
+    errors['sweep.parameters'] = `makes ${runs} runs; at most ${MAX_SWEEP_RUNS} are allowed`
+  }
+}
+
+// Outlines must be simple polygons. Valid ones lose their closing vertex and
+// are wound counter-clockwise, as Monty expects.
+function checkPolygon(polygon, field, errors) {
+  if (!polygon) return
+  const ring = openRing(polygon.coordinates)
+  const error = polygonError(ring)
+  if (error) {
+    errors[`${field}.coordinates`] = error
+  } else {
+    polygon.coordinates = signedArea(ring) < 0 ? ring.reverse() : ring
+  }
+}
+
+// Checks that JSON Schema cannot express
+function checkSpec(spec) {
+  const errors = {}
+  checkPolygon(spec.field, 'field', errors)
+  checkPolygon(spec.plan?.control, 'plan.control', errors)
+  if (spec.plan?.type === 'grid' && !spec.plan.grid) {
+    errors['plan.grid'] = 'is required for grid plans'
+  }
+  if (spec.plan?.controlSamples > 0 && !spec.plan.control) {
+    errors['plan.control'] = 'is required for control samples'
+  }
+  if (spec.coring?.samplerJitter?.type === 'gridCentroid' && spec.plan?.type !== 'grid') {
+    errors['coring.samplerJitter.type'] = 'gridCentroid only applies to grid plans'
+  }
+  if (spec.coring?.coreJitter?.type === 'gridCentroid') {
+    errors['coring.coreJitter.type'] = 'gridCentroid only applies to the sampler jitter'
+  }
+  for (const key of ['depth', 'upper', 'scale']) {
+    checkDistribution(spec.mixing?.[key], `mixing.${key}`, errors)
+  }
+  spec.timePoints.forEach((time, i) => {
+    if (i > 0 && time <= spec.timePoints[i - 1]) {
+      errors[`timePoints.${i}`] = 'must be later than the time point before it'
+    }
+  })
+  checkSpatial(spec.spatial, spec.analytes, errors)
+  checkSweep(spec, errors)
+  spec.analytes.forEach(({ name }, i) => {
+    if (spec.analytes.findIndex(a => a.name === name) < i) {
+      errors[`analytes.${i}.name`] = `${name} is listed more than once`
+    }
+  })
+  return errors
+}
+
+// Validates a simulation spec (the request body), filling in defaults and a
+// random seed when none was asked for, so that every job's spec records the
+// seed it ran with. Returns `{ spec, errors }` where `errors` maps field paths
+// to messages and is null when the spec is valid.
+export function validateSpec(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { spec: null, errors: { spec: 'must be a JSON object' } }
+  }
+
+  const spec = JSON.parse(JSON.stringify(body))
+  let errors = schemaErrors(validate, spec)
+  if (!errors) {
+    errors = checkSpec(spec)
+    spec.seed ??= randomInt(0, 2 ** 48 - 1)
+  }
+
+  return { spec, errors: Object.keys(errors).length > 0 ? errors : null }
+}
+
+// Ranges must be in order and hold the nominal value, at least one input must
+// have one, and the feedstock layer must fit in the sampled depth everywhere
+// in the ranges, as the mixing model requires
+function checkSensitivity(parameters) {
+  const errors = {}
+  for (const [name, { value, min, max }] of Object.entries(parameters)) {
+    if (min === undefined) continue
+    if (min >= max) {
+      errors[`parameters.${name}.min`] = 'must be less than max'
+    } else if (value < min || value > max) {
+      errors[`parameters.${name}.value`] = 'must be between min and max'
+    }
+  }
+  if (!Object.values(parameters).some(p => p.min !== undefined)) {
+    errors.parameters = 'need a range (min and max) for at least one input'
+  }
+
+  const low = (name) => parameters[name].min ?? parameters[name].value
+  const high = (name) => parameters[name].max ?? parameters[name].value
+  const thickness = high('applicationRate') * high('feedstockFraction') * (1 - low('massLoss')) / low('feedstockDensity')
+  if (thickness > low('depth')) {
+    errors['parameters.depth'] ??= `must be at least the thickest feedstock layer in the ranges (${thickness.toPrecision(3)} m)`
+  }
+  return errors
+}
+
+// Validates a sensitivity spec (server/spec/sensitivity-spec.schema.json) like
+// `validateSpec`, filling in defaults
+export function validateSensitivitySpec(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { spec: null, errors: { spec: 'must be a JSON object' } }
+  }
+
+  const spec = JSON.parse(JSON.stringify(body))
+  const errors = schemaErrors(validateSensitivity, spec) ?? checkSensitivity(spec.parameters)
+
+  return { spec, errors: Object.keys(errors).length > 0 ? errors : null }
+}
+
+// Leaching models with a rate and with a limit that can be calibrated
+const RATE_MODELS = ['exponential', 'seasonal']
+const LIMIT_MODELS = ['exponential', 'multiExponential', 'seasonal']
+
+// Times at most this far apart are the same time point
+const TIME_TOLERANCE = 1e-9
+
+// Each prior must name an input of the simulation that it can set, once, with
+// a range inside the input's own bounds
+function checkPriors(priors, simulation, errors) {
+  priors.forEach(({ parameter, analyte, min, max }, i) => {
+    const field = `priors.${i}`
+    const target = simulation.analytes.find(a => a.name === analyte)
+    if (parameter === 'applicationRate') {
+      if (analyte !== undefined) errors[`${field}.analyte`] = 'does not apply to the application rate'
+    } else if (analyte === undefined) {
+      errors[`${field}.analyte`] = 'is required'
+    } else if (!target) {
+      errors[`${field}.analyte`] = 'is not one of the analytes'
+    } else if (parameter === 'leachingRate' && !RATE_MODELS.includes(target.leaching.model)) {
+      errors[`${field}.parameter`] = `the ${target.leaching.model} leaching model of ${analyte} has no single rate`
+    } else if (parameter === 'leachingLimit' && !LIMIT_MODELS.includes(target.leaching.model)) {
+      errors[`${field}.parameter`] = `the ${target.leaching.model} leaching model of ${analyte} has no limit`
+    }
+
+    if (min >= max) {
+      errors[`${field}.max`] = 'must be greater than min'
+    } else if (parameter === 'leachingLimit' && target?.leaching.model === 'seasonal' && max >= 1) {
+      errors[`${field}.max`] = 'must be less than 1 for seasonal leaching'
+    } else if (['leachingLimit', 'soil', 'feedstock'].includes(parameter) && max > 1) {
+      errors[`${field}.max`] = 'must be at most 1 (kg/kg)'
+    } else if ((parameter === 'soil' || parameter === 'applicationRate') && min === 0) {
+      errors[`${field}.min`] = 'must be greater than 0'
+    }
+
+    if (priors.findIndex(p => p.parameter === parameter && p.analyte === analyte) < i) {
+      errors[`${field}.parameter`] = 'is calibrated more than once'
+    }
+  })
+}
+
+// Observations must be of analytes and time points the simulation has, and
+// control observations need control samples to compare with
+function checkObservations(observations, simulation, errors) {
+  const names = simulation.analytes.map(a => a.name)
+  observations.forEach(({ time, control, concentrations }, i) => {
+    const field = `observations.${i}`
+    for (const name of Object.keys(concentrations)) {
+      if (!names.includes(name)) errors[`${field}.concentrations.${name}`] = 'is not one of the analytes'
+    }
+    if (!simulation.timePoints.some(t => Math.abs(t - time) < TIME_TOLERANCE)) {
+      errors[`${field}.time`] = 'is not one of the simulation time points'
+    }
+    if (control && !simulation.plan?.control) {
+      errors[`${field}.control`] = 'needs a simulation plan with a control zone'
+    }
+  })
+  if (!observations.some(o => Object.values(o.concentrations).some(x => x !== null))) {
+    errors.observations = 'need at least one measured value'
+  }
+}
+
+// Validates a calibration spec (server/spec/calibration-spec.schema.json) like
+// `validateSpec`, including its simulation spec, whose errors are keyed under
+// `simulation.`
+export function validateCalibrationSpec(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { spec: null, errors: { spec: 'must be a JSON object' } }
+  }
+
+  const spec = JSON.parse(JSON.stringify(body))
+  let errors = schemaErrors(validateCalibration, spec)
+  if (!errors) {
+    const { spec: simulation, errors: simulationErrors } = validateSpec(spec.simulation)
+    errors = {}
+    for (const [field, message] of Object.entries(simulationErrors ?? {})) {
+      errors[`simulation.${field}`] = message
+    }
+    if (simulation?.sweep) {
+      errors['simulation.sweep'] = 'cannot be calibrated'
+    }
+    if (!simulationErrors) {
+      spec.simulation = simulation
+      checkPriors(spec.priors, simulation, errors)
+      checkObservations(spec.observations, simulation, errors)
+    }
+    spec.seed ??= randomInt(0, 2 ** 48 - 1)
+  }
+
+  return { spec, errors: Object.keys(errors).length > 0 ? errors : null }
+}
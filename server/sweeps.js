@@ -0,0 +1,203 @@
+import { EventEmitter } from 'events'
+import { randomUUID } from 'crypto'
+import { isTerminal } from './jobs.js'
+import { validateSpec } from './spec.js'
+
+// How each sweepable parameter sets its value in a spec
+const SETTERS = {
+  numSamples: (spec, value) => { spec.numSamples = value },
+  applicationRate: (spec, value) => { spec.applicationRate = value },
+  timePoints: (spec, value) => { spec.timePoints = value },
+  // specs without coring use five cores on a 1 m circle
+  cores: (spec, value) => {
+    const stencil = spec.coring?.stencil ?? { type: 'circle', cores: 5, radius: 1 }
+    spec.coring = { ...spec.coring, stencil: { ...stencil, cores: value } }
+  }
+}
+
+const INTEGER_PARAMETERS = new Set(['numSamples', 'cores'])
+
+// Values of a swept parameter, from its list or its range
+export function sweepValues({ name, values, range }) {
+  if (values) return values
+  const { from, to, steps } = range
+  const list = Array.from({ length: steps }, (_, i) => from + ((to - from) * i) / (steps - 1))
+  return INTEGER_PARAMETERS.has(name)
+    ? [...new Set(list.map(Math.round))]
+    : list.map(v => Number(v.toPrecision(12)))
+}
+
+// Runs of a validated sweep spec: one spec for each combination of the swept
+// values, without the sweep, each validated on its own. All runs keep the
+// spec's seed, so that differences between them come from the swept
+// parameters rather than from chance. Returns `{ runs, errors }` like
+// `validateSpec`, reporting the first invalid run on `sweep.parameters`.
+export function expandSweep(spec) {
+  const { sweep, ...base } = spec
+  let combinations = [{}]
+  for (const parameter of sweep.parameters) {
+    combinations = combinations.flatMap(values =>
+      sweepValues(parameter).map(value => ({ ...values, [parameter.name]: value }))
+    )
+  }
+
+  const runs = []
+  for (const values of combinations) {
+    const run = structuredClone(base)
+    for (const [name, value] of Object.entries(values)) SETTERS[name](run, value)
+    const { spec: checked, errors } = validateSpec(run)
+    if (errors) {
+      const label = Object.entries(values).map(([name, value]) => `${name} = ${JSON.stringify(value)}`).join(', ')
+      const [field, message] = Object.entries(errors)[0]
+      return { runs: null, errors: { 'sweep.parameters': `with ${label}, ${field} ${message}` } }
+    }
+    runs.push({ values, spec: checked })
+  }
+  return { runs, errors: null }
+}
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length
+
+// Scalar results of one run for sweep charts: for each analyte and sampling
+// round, the mean treatment concentration, the standard deviation of the
+// treatment mean over realizations and the detection rate of each test
+export function sweepMetrics(result) {
+  const metrics = {}
+  for (const name of result.analytes) {
+    // treatment sums and counts by time and realization
+    const byTime = new Map()
+    for (const row of result.data) {
+      if (row.control) continue
+      if (!byTime.has(row.time)) byTime.set(row.time, new Map())
+      const realizations = byTime.get(row.time)
+      const [sum, n] = realizations.get(row.realization) ?? [0, 0]
+      realizations.set(row.realization, [sum + row.concentrations[name], n + 1])
+    }
+
+    const power = result.power?.analytes?.[name] ?? []
+    metrics[name] = [...byTime.keys()].sort((a, b) => a - b).map(time => {
+      const means = [...byTime.get(time).values()].map(([sum, n]) => sum / n)
+      const m = mean(means)
+      const variance = means.length > 1
+        ? means.reduce((a, x) => a + (x - m) ** 2, 0) / (means.length - 1)
+        : 0
+      const round = power.find(p => p.time === time)
+      return {
+        time,
+        mean: m,
+        meanStd: Math.sqrt(variance),
+        tTest: round?.tTest?.rate ?? null,
+        mannWhitney: round?.mannWhitney?.rate ?? null,
+        diffInDiff: round?.diffInDiff?.rate ?? null
+      }
+    })
+  }
+  return metrics
+}
+
+// State of a sweep whose runs have all finished: succeeded if any run did,
+// with the failed runs counted in its view, cancelled if every run was and
+// failed otherwise
+function finalStatus(runs) {
+  if (runs.some(r => r.status === 'succeeded')) return 'succeeded'
+  return runs.every(r => r.status === 'cancelled') ? 'cancelled' : 'failed'
+}
+
+// Sweeps over design parameters, each fanned out into one job per run on a
+// job queue. Keeps the metrics of finished runs, so that they outlive the
+// jobs, and forgets finished sweeps after `retention` milliseconds. Emits
+// 'update' with the sweep whenever one of its runs changes state.
+export class SweepTracker extends EventEmitter {
+  constructor(jobs, { retention = 60 * 60 * 1000 } = {}) {
+    super()
+    this.setMaxListeners(0)
+    this.jobs = jobs
+    this.retention = retention
+    this.sweeps = new Map()
+    this.runsByJob = new Map()
+    jobs.on('update', (job) => this.update(job))
+  }
+
+  submit(parameters, runs) {
+    const sweep = {
+      id: randomUUID(),
+      status: 'running',
+      parameters,
+      analytes: runs[0].spec.analytes.map(a => a.name),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      runs: runs.map(({ values }) => ({ values, jobId: null, status: 'queued', error: null, metrics: null }))
+    }
+    this.sweeps.set(sweep.id, sweep)
+    // runs are registered before their jobs are submitted, which may start
+    // them right away
+    runs.forEach(({ spec }, i) => {
+      const run = sweep.runs[i]
+      run.jobId = randomUUID()
+      this.runsByJob.set(run.jobId, { sweep, run })
+      this.jobs.submit(spec, { id: run.jobId })
+    })
+    return sweep
+  }
+
+  get(id) {
+    return this.sweeps.get(id)
+  }
+
+  // Cancels every unfinished run of a sweep
+  cancel(id) {
+    const sweep = this.sweeps.get(id)
+    if (!sweep || isTerminal(sweep.status)) return sweep
+    sweep.status = 'cancelled'
+    for (const run of sweep.runs) this.jobs.cancel(run.jobId)
+    this.finish(sweep)
+    return sweep
+  }
+
+  update(job) {
+    const entry = this.runsByJob.get(job.id)
+    if (!entry) return
+    const { sweep, run } = entry
+    run.status = job.status
+    if (job.status === 'succeeded') {
+      try {
+        run.metrics = sweepMetrics(job.result)
+      } catch (error) {
+        run.status = 'failed'
+        run.error = `Failed to read the run's results: ${error.message}`
+      }
+    }
+    if (job.status === 'failed') run.error = job.error
+    if (isTerminal(job.status)) this.runsByJob.delete(job.id)
+
+    if (sweep.status === 'running' && sweep.runs.every(r => isTerminal(r.status))) {
+      sweep.status = finalStatus(sweep.runs)
+      this.finish(sweep)
+    } else {
+      this.emit('update', sweep)
+    }
+  }
+
+  finish(sweep) {
+    sweep.finishedAt = new Date().toISOString()
+    this.emit('update', sweep)
+    setTimeout(() => this.sweeps.delete(sweep.id), this.retention).unref()
+  }
+}
+
+// Public view of a sweep, as returned by the API
+export function serializeSweep(sweep) {
+  const { id, status, parameters, analytes, createdAt, finishedAt, runs } = sweep
+  return {
+    id,
+    status,
+    parameters,
+    analytes,
+    createdAt,
+    finishedAt,
+    completed: runs.filter(r => isTerminal(r.status)).length,
+    failed: runs.filter(r => r.status === 'failed').length,
+    total: runs.length,
+    runs
+  }
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { compareScenarios } from '../compare.js'
+
+// Simulation result with treatment samples of `treated(realization, time)`
+// and control samples far above them at times 0 and 1
+function result(treated) {
+  const data = []
+  for (let realization = 1; realization <= 20; realization++) {
+    for (const time of [0, 1]) {
+      for (let k = 0; k < 4; k++) {
+        const noise = ((realization * 7 + k * 3) % 11) * 1e-5
+        data.push({ realization, time, control: false, concentrations: { Ca: treated(time) + noise } })
+        data.push({ realization, time, control: true, concentrations: { Ca: 1 + noise } })
+      }
+    }
+  }
+  return { analytes: ['Ca'], data }
+}
+
+const scenario = (id, treated) => ({ id, name: null, spec: { version: 2, id }, result: result(treated) })
+
+test('summary statistics are compared at each time on treatment samples', () => {
+  const comparison = compareScenarios([
+    scenario('a', () => 0.01),
+    scenario('b', (time) => (time === 0 ? 0.01 : 0.02))
+  ])
+  const cells = comparison.statistics.Ca
+  assert.deepEqual(cells.map(c => c.time), [0, 1])
+  assert.ok(cells[0].reference.max < 0.1)
+
+  const [before, after] = cells.map(c => c.scenarios[0].differences.mean)
+  assert.equal(before.difference, 0)
+  assert.equal(before.distinguishable, false)
+  assert.ok(Math.abs(after.difference - 0.01) < 1e-12)
+  assert.equal(after.distinguishable, true)
+})
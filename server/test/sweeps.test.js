@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { JobQueue } from '../jobs.js'
+import { SweepTracker } from '../sweeps.js'
+
+const spec = { analytes: [{ name: 'Ca' }] }
+
+// A job runner whose jobs run until released
+function heldRunner() {
+  const releases = []
+  const run = () => new Promise(resolve => releases.push(() => resolve(null)))
+  return { run, release: () => releases.shift()() }
+}
+
+test('sweep runs show running while their jobs run', async () => {
+  const { run, release } = heldRunner()
+  const jobs = new JobQueue({ run, concurrency: 2, retention: 0 })
+  const sweeps = new SweepTracker(jobs, { retention: 0 })
+  const sweep = sweeps.submit({}, [{ values: {}, spec }, { values: {}, spec }, { values: {}, spec }])
+
+  assert.deepEqual(sweep.runs.map(r => r.status), ['running', 'running', 'queued'])
+  for (const r of sweep.runs) assert.equal(r.status, jobs.get(r.jobId).status)
+
+  release()
+  await new Promise(setImmediate)
+  assert.equal(sweep.runs[2].status, 'running')
+})
+
+test('a sweep with no successful run has failed', async () => {
+  const jobs = new JobQueue({ run: async () => { throw new Error('no Julia') }, retention: 0 })
+  const sweeps = new SweepTracker(jobs, { retention: 0 })
+  const sweep = sweeps.submit({}, [{ values: {}, spec }, { values: {}, spec }])
+
+  await new Promise(setImmediate)
+  assert.equal(sweep.status, 'failed')
+  assert.deepEqual(sweep.runs.map(r => r.error), ['no Julia', 'no Julia'])
+})
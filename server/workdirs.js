@@ -0,0 +1,37 @@
+import { tmpdir } from 'os'
+import { join } from 'path'
+import fs from 'fs/promises'
+
+// Scratch space for simulation jobs, one directory per job
+export const WORK_ROOT = process.env.MONTY_WORK_DIR || join(tmpdir(), 'monty-jobs')
+
+// Creates the scratch directory for a job and returns the paths inside it
+export async function createWorkdir(id) {
+  const dir = join(WORK_ROOT, id)
+  await fs.mkdir(dir, { recursive: true })
+  return {
+    dir,
+    spec: join(dir, 'spec.json'),
+    results: join(dir, 'results.json'),
+    log: join(dir, 'julia.log')
+  }
+}
+
+// Removes a job's scratch directory, after `retention` milliseconds if given
+export function releaseWorkdir(dir, retention = 0) {
+  const remove = () => fs.rm(dir, { recursive: true, force: true }).catch((error) => {
+    console.error(`Failed to remove job directory ${dir}:`, error.message)
+  })
+  if (retention > 0) {
+    setTimeout(remove, retention).unref()
+  } else {
+    return remove()
+  }
+}
+
+// Removes directories left behind by an earlier server process
+export async function clearWorkdirs() {
+  await fs.mkdir(WORK_ROOT, { recursive: true })
+  const entries = await fs.readdir(WORK_ROOT)
+  await Promise.all(entries.map(entry => releaseWorkdir(join(WORK_ROOT, entry))))
+}
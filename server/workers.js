@@ -0,0 +1,183 @@
+import { EventEmitter } from 'events'
+import { spawn } from 'child_process'
+import { JobError } from './jobs.js'
+
+const MESSAGE_PREFIX = '@monty '
+const RESTART_DELAY = 5000
+
+// Pool of long-lived Julia processes running `script` (server/julia/worker.jl),
+// each with Monty already loaded. Jobs are sent as one JSON line on stdin and
+// answered with '@monty {...}' lines on stdout. Crashed or killed workers are
+// restarted. Emits 'message' with (jobId, message) for job messages other
+// than the final 'done' or 'error'.
+export class JuliaWorkerPool extends EventEmitter {
+  constructor({ size, script, cwd }) {
+    super()
+    this.size = Math.max(1, size)
+    this.script = script
+    this.cwd = cwd
+    this.workers = []
+    this.waiting = []
+    this.closed = false
+  }
+
+  start() {
+    for (let i = 0; i < this.size; i++) {
+      this.workers.push(this.spawnWorker(i))
+    }
+  }
+
+  stop() {
+    this.closed = true
+    for (const worker of this.workers) {
+      worker.process.kill()
+    }
+  }
+
+  stats() {
+    const count = (state) => this.workers.filter(w => w.state === state).length
+    return {
+      size: this.size,
+      warm: count('idle') + count('busy'),
+      cold: count('starting'),
+      busy: count('busy'),
+      waiting: this.waiting.length
+    }
+  }
+
+  spawnWorker(index) {
+    const child = spawn('julia', ['--startup-file=no', this.script], {
+      cwd: this.cwd,
+      stdio: ['pipe', 'pipe', 'pipe']
+    })
+    const worker = { index, process: child, state: 'starting', task: null, buffer: '' }
+
+    child.stdout.on('data', (data) => {
+      worker.buffer += data.toString()
+      const lines = worker.buffer.split('\n')
+      worker.buffer = lines.pop()
+      for (const line of lines) {
+        this.handleLine(worker, line)
+      }
+    })
+
+    child.stderr.on('data', (data) => {
+      this.output(worker, data.toString(), 'stderr')
+    })
+
+    child.on('error', (error) => {
+      console.error(`Julia worker ${index} failed to start:`, error.message)
+    })
+
+    // writes to a worker that just died are answered by its 'close' handler
+    child.stdin.on('error', () => {})
+
+    child.on('close', (code, signal) => {
+      const task = worker.task
+      worker.state = 'dead'
+      worker.task = null
+      if (task) {
+        task.reject(task.signal?.aborted
+          ? new JobError('Simulation was cancelled')
+          : new JobError(`Julia worker exited unexpectedly (${signal || `code ${code}`})`, task.stderr))
+      }
+      if (this.closed) return
+      console.log(`Julia worker ${index} exited, restarting`)
+      // restart straight away after a cancellation, otherwise back off a little
+      // so a broken Julia installation doesn't spin
+      const delay = task?.signal?.aborted ? 0 : RESTART_DELAY
+      setTimeout(() => {
+        if (!this.closed) this.workers[index] = this.spawnWorker(index)
+      }, delay).unref()
+    })
+
+    return worker
+  }
+
+  handleLine(worker, line) {
+    if (!line.startsWith(MESSAGE_PREFIX)) {
+      this.output(worker, line + '\n', 'stdout')
+      return
+    }
+
+    let message
+    try {
+      message = JSON.parse(line.slice(MESSAGE_PREFIX.length))
+    } catch (error) {
+      console.error(`Julia worker ${worker.index} sent a malformed message:`, line)
+      return
+    }
+
+    if (message.type === 'ready') {
+      console.log(`Julia worker ${worker.index} is warm (Julia ${message.julia})`)
+      worker.state = 'idle'
+      this.dispatch()
+      return
+    }
+
+    const task = worker.task
+    if (!task || message.id !== task.id) return
+
+    if (message.type === 'done' || message.type === 'error') {
+      worker.task = null
+      worker.state = 'idle'
+      if (message.type === 'done') {
+        task.resolve()
+      } else {
+        task.reject(new JobError('Simulation failed', message.message))
+      }
+      this.dispatch()
+    } else {
+      this.emit('message', task.id, message)
+    }
+  }
+
+  output(worker, text, stream) {
+    const task = worker.task
+    if (task) {
+      if (stream === 'stderr') task.stderr += text
+      task.onOutput?.(text, stream)
+    } else {
+      console.log(`Julia worker ${worker.index} ${stream}:`, text)
+    }
+  }
+
+  // Runs the simulation spec in the file `spec` on the next free worker,
+  // writing results to the file `output`. Resolves when the simulation
+  // finishes; aborting `signal` kills the worker running it. `kind` is what
+  // the worker runs on the spec: 'simulation' or 'sensitivity'.
+  run({ id, kind = 'simulation', spec, output, onOutput }, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(new JobError('Simulation was cancelled'))
+      }
+      const task = { id, kind, spec, output, onOutput, signal, resolve, reject, stderr: '' }
+      this.waiting.push(task)
+      signal?.addEventListener('abort', () => this.abort(task), { once: true })
+      this.dispatch()
+    })
+  }
+
+  abort(task) {
+    const waitingIndex = this.waiting.indexOf(task)
+    if (waitingIndex >= 0) {
+      this.waiting.splice(waitingIndex, 1)
+      task.reject(new JobError('Simulation was cancelled'))
+      return
+    }
+    const worker = this.workers.find(w => w.task === task)
+    worker?.process.kill('SIGKILL')
+  }
+
+  dispatch() {
+    for (const worker of this.workers) {
+      if (this.waiting.length === 0) return
+      if (worker.state !== 'idle') continue
+      const task = this.waiting.shift()
+      worker.task = task
+      worker.state = 'busy'
+      const request = { id: task.id, task: task.kind, spec: task.spec, output: task.output }
+      worker.process.stdin.write(JSON.stringify(request) + '\n')
+    }
+  }
+}
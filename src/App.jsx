@@ -1,54 +1,132 @@
-import React, { useState } from 'react'
-import { Play, Settings, BarChart3, Download, Loader2 } from 'lucide-react'
+import React, { useState, useEffect, useRef } from 'react'
+import { Play, Settings, BarChart3, Loader2, XCircle, RotateCcw } from 'lucide-react'
 import SimulationForm from './components/SimulationForm'
+import { defaultAnalyte } from './components/AnalyteEditor'
 import ResultsVisualization from './components/ResultsVisualization'
-import { runSimulation } from './services/api'
+import JobProgress from './components/JobProgress'
+import SweepResults from './components/SweepResults'
+import SensitivityPage from './components/SensitivityPage'
+import CalibrationPage from './components/CalibrationPage'
+import DownloadMenu from './components/DownloadMenu'
+import RunHistory from './components/RunHistory'
+import ScenarioComparison from './components/ScenarioComparison'
+import { runSimulation, cancelJob, runSweep, cancelSweep, compareRuns } from './services/api'
 
 function App() {
   const [simulationParams, setSimulationParams] = useState({
     applicationRate: 3.0,
-    feedstockCa: 0.07,
-    feedstockMg: 0.05,
-    soilCa: 0.002,
-    soilMg: 0.001,
-    leachingRateCa: 0.8,
-    leachingRateMg: 1.2,
+    analytes: [defaultAnalyte('Ca'), defaultAnalyte('Mg')],
+    mixing: { model: 'unmixed' },
     samplingDepth: 0.1,
+    plan: { type: 'random' },
     numSamples: 50,
     numRealizations: 100,
-    timePoints: [0, 0.5, 1.0]
+    timePoints: [0, 0.5, 1.0],
+    seed: null
   })
   
+  const [page, setPage] = useState('simulation')
   const [results, setResults] = useState(null)
+  // job the displayed results came from, for server-side exports
+  const [resultsJobId, setResultsJobId] = useState(null)
+  const [sweep, setSweep] = useState(null)
+  const [comparison, setComparison] = useState(null)
+  // saved sensitivity analysis or calibration to show on its page
+  const [openedRun, setOpenedRun] = useState(null)
+  // bumped when an analysis or calibration is saved, to reload the run history
+  const [savedCount, setSavedCount] = useState(0)
+  // observed field samples uploaded to compare with the results
+  const [observations, setObservations] = useState(null)
   const [isRunning, setIsRunning] = useState(false)
+  const [job, setJob] = useState(null)
+  const [progress, setProgress] = useState(null)
   const [error, setError] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState(null)
+  const watchRef = useRef(null)
 
-  const handleRunSimulation = async () => {
+  // stop listening to the job when the app unmounts
+  useEffect(() => () => watchRef.current?.abort(), [])
+
+  const handleRunSimulation = async (params = simulationParams) => {
     setIsRunning(true)
     setError(null)
+    setFieldErrors(null)
+    setJob(null)
+    setProgress(null)
+    setSweep(null)
+    setComparison(null)
+
+    const controller = new AbortController()
+    watchRef.current = controller
     
     try {
-      const simulationResults = await runSimulation(simulationParams)
-      setResults(simulationResults)
+      if (params.sweep) {
+        setResults(null)
+        await runSweep(params, { onUpdate: setSweep, signal: controller.signal })
+        return
+      }
+      let jobId = null
+      const simulationResults = await runSimulation(params, {
+        onUpdate: (update) => {
+          jobId = update.id
+          setJob(update)
+        },
+        onProgress: setProgress,
+        signal: controller.signal
+      })
+      if (simulationResults) {
+        setResults(simulationResults)
+        setResultsJobId(jobId)
+      }
     } catch (err) {
       setError(err.message || 'Failed to run simulation')
+      setFieldErrors(err.fields || null)
       console.error('Simulation error:', err)
     } finally {
       setIsRunning(false)
     }
   }
 
-  const handleDownloadResults = () => {
-    if (!results) return
-    
-    const dataStr = JSON.stringify(results, null, 2)
-    const dataBlob = new Blob([dataStr], { type: 'application/json' })
-    const url = URL.createObjectURL(dataBlob)
-    const link = document.createElement('a')
-    link.href = url
-    link.download = `monty_simulation_${new Date().toISOString().split('T')[0]}.json`
-    link.click()
-    URL.revokeObjectURL(url)
+  // Repeats the displayed run exactly, using the spec and seed from its manifest
+  const handleRerunFromManifest = () => {
+    const { spec, seed } = results.manifest
+    const params = { ...spec, seed }
+    setSimulationParams(params)
+    handleRunSimulation(params)
+  }
+
+  // Shows a saved run from the history without running it again, on the page
+  // of its kind
+  const handleOpenRun = (run) => {
+    if (run.kind !== 'simulation') {
+      setOpenedRun(run)
+      setPage(run.kind)
+      return
+    }
+    setSweep(null)
+    setComparison(null)
+    setError(null)
+    setResults(run.result)
+    setResultsJobId(run.id)
+  }
+
+  const handleCompareRuns = async (ids) => {
+    setError(null)
+    try {
+      setSweep(null)
+      setComparison(await compareRuns(ids))
+    } catch (err) {
+      setError(err.message || 'Failed to compare runs')
+    }
+  }
+
+  const handleCancelSimulation = async () => {
+    if (!sweep && !job) return
+    try {
+      await (sweep ? cancelSweep(sweep.id) : cancelJob(job.id))
+    } catch (err) {
+      setError(err.message || 'Failed to cancel simulation')
+    }
   }
 
   return (
@@ -63,11 +141,48 @@ function App() {
             Simulate geochemical data for enhanced rock weathering (ERW) field trials 
             and commercial deployments with advanced mixing and leaching models.
           </p>
+          <div className="inline-flex space-x-1 bg-white/70 p-1 rounded-lg mt-4">
+            {[
+              { id: 'simulation', label: 'Trial Simulation' },
+              { id: 'sensitivity', label: 'Core Sensitivity' },
+              { id: 'calibration', label: 'Calibration' }
+            ].map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setPage(tab.id)}
+                className={`px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+                  page === tab.id
+                    ? 'bg-white text-primary-600 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* all pages stay mounted so that switching keeps their inputs and results */}
+        <div className={page === 'sensitivity' ? '' : 'hidden'}>
+          <SensitivityPage
+            opened={openedRun?.kind === 'sensitivity' ? openedRun : null}
+            onFinish={() => setSavedCount(n => n + 1)}
+          />
+        </div>
+
+        <div className={page === 'calibration' ? '' : 'hidden'}>
+          <CalibrationPage
+            simulationParams={simulationParams}
+            observations={observations}
+            onObservationsChange={setObservations}
+            opened={openedRun?.kind === 'calibration' ? openedRun : null}
+            onFinish={() => setSavedCount(n => n + 1)}
+          />
         </div>
 
-        <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <div className={`grid grid-cols-1 lg:grid-cols-3 gap-8 ${page === 'simulation' ? '' : 'hidden'}`}>
           {/* Simulation Parameters */}
-          <div className="lg:col-span-1">
+          <div className="lg:col-span-1 space-y-8">
             <div className="card">
               <div className="flex items-center gap-2 mb-4">
                 <Settings className="w-5 h-5 text-primary-600" />
@@ -77,34 +192,50 @@ function App() {
               <SimulationForm 
                 params={simulationParams}
                 onChange={setSimulationParams}
+                errors={fieldErrors}
               />
               
               <div className="mt-6 space-y-3">
                 <button
-                  onClick={handleRunSimulation}
+                  onClick={() => handleRunSimulation()}
                   disabled={isRunning}
                   className="btn-primary w-full flex items-center justify-center gap-2"
                 >
                   {isRunning ? (
                     <>
                       <Loader2 className="w-4 h-4 animate-spin" />
-                      Running Simulation...
+                      {simulationParams.sweep ? 'Running Sweep...' : 'Running Simulation...'}
                     </>
                   ) : (
                     <>
                       <Play className="w-4 h-4" />
-                      Run Simulation
+                      {simulationParams.sweep ? 'Run Sweep' : 'Run Simulation'}
                     </>
                   )}
                 </button>
+
+                {isRunning && (sweep || job) && (
+                  <button
+                    onClick={handleCancelSimulation}
+                    className="btn-secondary w-full flex items-center justify-center gap-2"
+                  >
+                    <XCircle className="w-4 h-4" />
+                    Cancel Simulation
+                  </button>
+                )}
                 
                 {results && (
+                  <DownloadMenu jobId={resultsJobId} results={results} onError={setError} />
+                )}
+
+                {results?.manifest && (
                   <button
-                    onClick={handleDownloadResults}
+                    onClick={handleRerunFromManifest}
+                    disabled={isRunning}
                     className="btn-secondary w-full flex items-center justify-center gap-2"
                   >
-                    <Download className="w-4 h-4" />
-                    Download Results
+                    <RotateCcw className="w-4 h-4" />
+                    Re-run from Manifest
                   </button>
                 )}
               </div>
@@ -115,6 +246,14 @@ function App() {
                 </div>
               )}
             </div>
+
+            <RunHistory
+              activeId={resultsJobId}
+              refreshKey={`${resultsJobId}:${savedCount}`}
+              onOpen={handleOpenRun}
+              onCompare={handleCompareRuns}
+              onError={setError}
+            />
           </div>
 
           {/* Results Visualization */}
@@ -125,18 +264,18 @@ function App() {
                 <h2 className="text-xl font-semibold">Simulation Results</h2>
               </div>
               
-              {isRunning ? (
-                <div className="flex items-center justify-center h-96">
-                  <div className="text-center">
-                    <Loader2 className="w-8 h-8 animate-spin text-primary-600 mx-auto mb-4" />
-                    <p className="text-gray-600">Running Monty simulation...</p>
-                    <p className="text-sm text-gray-500 mt-2">
-                      This may take a few moments depending on the number of realizations
-                    </p>
-                  </div>
-                </div>
+              {comparison ? (
+                <ScenarioComparison comparison={comparison} onClose={() => setComparison(null)} />
+              ) : sweep ? (
+                <SweepResults sweep={sweep} />
+              ) : isRunning ? (
+                <JobProgress job={job} progress={progress} />
               ) : results ? (
-                <ResultsVisualization results={results} />
+                <ResultsVisualization
+                  results={results}
+                  observations={observations}
+                  onObservationsChange={setObservations}
+                />
               ) : (
                 <div className="flex items-center justify-center h-96">
                   <div className="text-center text-gray-500">
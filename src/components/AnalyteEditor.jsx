@@ -0,0 +1,218 @@
+import React from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import FieldError from './FieldError'
+import LeachingModelEditor from './LeachingModelEditor'
+
+// Typical basalt feedstock and background soil values, used as the starting
+// point when an analyte is added
+const ANALYTE_DEFAULTS = {
+  Ca: { feedstock: 0.07, soil: 0.002, rate: 0.8 },
+  Mg: { feedstock: 0.05, soil: 0.001, rate: 1.2 },
+  Na: { feedstock: 0.02, soil: 0.0005, rate: 1.5 },
+  K: { feedstock: 0.01, soil: 0.001, rate: 1.0 },
+  Fe: { feedstock: 0.08, soil: 0.02, rate: 0.1 },
+  Al: { feedstock: 0.08, soil: 0.05, rate: 0.05 },
+  Si: { feedstock: 0.23, soil: 0.3, rate: 0.05 },
+  Ti: { feedstock: 0.01, soil: 0.004, rate: 0.0 },
+  Mn: { feedstock: 0.0015, soil: 0.0005, rate: 0.5 },
+  Ni: { feedstock: 0.0001, soil: 0.00002, rate: 0.2 }
+}
+
+export const ANALYTE_NAMES = Object.keys(ANALYTE_DEFAULTS)
+
+export const defaultAnalyte = (name) => {
+  const { feedstock, soil, rate } = ANALYTE_DEFAULTS[name]
+  return {
+    name,
+    feedstock,
+    soil,
+    leaching: { model: 'exponential', rate, limit: 1, noise: 0 },
+    measurement: { relativeError: 0.03, absoluteError: 0, replicates: 1, detectionLimit: 0 }
+  }
+}
+
+const PPM = 1e-6
+
+// kg/kg in ppm, rounded off the floating point error of the conversion
+const toPpm = (x) => Number((x / PPM).toPrecision(6))
+
+// Text description of a measurement error spec, e.g. '3% + 5 ppm, mean of 3
+// replicates, detection limit 10 ppm'
+export const describeMeasurement = ({ relativeError, absoluteError = 0, replicates = 1, detectionLimit = 0 }) => [
+  `${(relativeError * 100).toFixed(1)}%${absoluteError > 0 ? ` + ${toPpm(absoluteError)} ppm` : ''}`,
+  replicates > 1 && `mean of ${replicates} replicates`,
+  detectionLimit > 0 && `detection limit ${toPpm(detectionLimit)} ppm`
+].filter(Boolean).join(', ')
+
+// Inputs of an analyte's measurement error model: relative and absolute error
+// of one lab replicate, the number of replicates averaged and the detection
+// limit, the last two in ppm
+const MeasurementEditor = ({ measurement, onChange, errors, field }) => {
+  const set = (key, value) => onChange({ ...measurement, [key]: value })
+
+  return (
+    <div className="grid grid-cols-2 gap-2">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Relative Error</label>
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          value={measurement.relativeError}
+          onChange={(e) => set('relativeError', parseFloat(e.target.value))}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.relativeError`} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Absolute Error (ppm)</label>
+        <input
+          type="number"
+          step="1"
+          min="0"
+          value={toPpm(measurement.absoluteError ?? 0)}
+          onChange={(e) => set('absoluteError', parseFloat(e.target.value) * PPM)}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.absoluteError`} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Lab Replicates</label>
+        <input
+          type="number"
+          step="1"
+          min="1"
+          max="20"
+          value={measurement.replicates ?? 1}
+          onChange={(e) => set('replicates', parseInt(e.target.value))}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.replicates`} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Detection Limit (ppm)</label>
+        <input
+          type="number"
+          step="1"
+          min="0"
+          value={toPpm(measurement.detectionLimit ?? 0)}
+          onChange={(e) => set('detectionLimit', parseFloat(e.target.value) * PPM)}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.detectionLimit`} />
+      </div>
+    </div>
+  )
+}
+
+const AnalyteEditor = ({ analytes, onChange, errors, horizon }) => {
+  const used = new Set(analytes.map(a => a.name))
+  const available = ANALYTE_NAMES.filter(name => !used.has(name))
+
+  const update = (index, changes) => {
+    onChange(analytes.map((a, i) => (i === index ? { ...a, ...changes } : a)))
+  }
+
+  const rename = (index, name) => {
+    const { feedstock, soil, leaching, measurement } = defaultAnalyte(name)
+    update(index, { name, feedstock, soil, leaching, measurement })
+  }
+
+  const remove = (index) => {
+    onChange(analytes.filter((_, i) => i !== index))
+  }
+
+  const add = () => {
+    onChange([...analytes, defaultAnalyte(available[0])])
+  }
+
+  return (
+    <div className="space-y-3">
+      {analytes.map((analyte, i) => (
+        <div key={i} className="border border-gray-200 rounded-lg p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <select
+              value={analyte.name}
+              onChange={(e) => rename(i, e.target.value)}
+              className="input-field py-1"
+            >
+              {ANALYTE_NAMES.filter(name => name === analyte.name || !used.has(name)).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => remove(i)}
+              disabled={analytes.length === 1}
+              className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-30 disabled:hover:text-gray-500"
+              title="Remove analyte"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <FieldError errors={errors} field={`analytes.${i}.name`} />
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">
+                Feedstock (kg/kg)
+              </label>
+              <input
+                type="number"
+                step="0.001"
+                value={analyte.feedstock}
+                onChange={(e) => update(i, { feedstock: parseFloat(e.target.value) })}
+                className="input-field"
+              />
+              <FieldError errors={errors} field={`analytes.${i}.feedstock`} />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">
+                Soil (kg/kg)
+              </label>
+              <input
+                type="number"
+                step="0.0001"
+                value={analyte.soil}
+                onChange={(e) => update(i, { soil: parseFloat(e.target.value) })}
+                className="input-field"
+              />
+              <FieldError errors={errors} field={`analytes.${i}.soil`} />
+            </div>
+          </div>
+
+          <MeasurementEditor
+            measurement={analyte.measurement}
+            onChange={(measurement) => update(i, { measurement })}
+            errors={errors}
+            field={`analytes.${i}.measurement`}
+          />
+
+          <LeachingModelEditor
+            leaching={analyte.leaching}
+            onChange={(leaching) => update(i, { leaching })}
+            errors={errors}
+            field={`analytes.${i}.leaching`}
+            horizon={horizon}
+          />
+        </div>
+      ))}
+
+      {errors?.analytes && (
+        <p className="text-xs text-red-600">{errors.analytes}</p>
+      )}
+
+      <button
+        type="button"
+        onClick={add}
+        disabled={available.length === 0}
+        className="btn-secondary w-full flex items-center justify-center gap-2 text-sm"
+      >
+        <Plus className="w-4 h-4" />
+        Add Analyte
+      </button>
+    </div>
+  )
+}
+
+export default AnalyteEditor
@@ -0,0 +1,393 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceArea } from 'recharts'
+import { Play, Loader2, XCircle, Crosshair, Plus, Trash2 } from 'lucide-react'
+import FieldError from './FieldError'
+import JobProgress from './JobProgress'
+import { ObservationUpload } from './ObservedData'
+import { runCalibration, cancelJob } from '../services/api'
+
+// Inputs of a simulation that can be calibrated; all but the application rate
+// belong to an analyte
+export const CALIBRATION_INPUTS = [
+  { id: 'leachingRate', label: 'Leaching rate', unit: '1/yr', models: ['exponential', 'seasonal'] },
+  { id: 'leachingLimit', label: 'Leaching limit', unit: 'kg/kg', models: ['exponential', 'multiExponential', 'seasonal'] },
+  { id: 'soil', label: 'Soil concentration', unit: 'kg/kg' },
+  { id: 'feedstock', label: 'Feedstock concentration', unit: 'kg/kg' },
+  { id: 'applicationRate', label: 'Application rate', unit: 'kg/m²', global: true }
+]
+
+const DEFAULT_DRAWS = 2000
+const DEFAULT_ACCEPTANCE = 0.05
+
+const inputOf = (id) => CALIBRATION_INPUTS.find(input => input.id === id)
+
+const labelOf = ({ parameter, analyte }) => {
+  const { label, global } = inputOf(parameter)
+  return global ? label : `${analyte} ${label.toLowerCase()}`
+}
+
+// Current value of a calibrated input in the simulation parameters
+const currentValue = (params, parameter, analyte) => {
+  if (parameter === 'applicationRate') return params.applicationRate
+  const a = params.analytes.find(a => a.name === analyte)
+  if (parameter === 'leachingRate') return a?.leaching.rate
+  if (parameter === 'leachingLimit') return a?.leaching.limit ?? 1
+  return a?.[parameter]
+}
+
+// A prior for an input spanning half to one and a half times its current value,
+// kept within the bounds of concentrations and seasonal leaching limits
+const defaultPrior = (params, parameter, analyte) => {
+  const prior = parameter === 'applicationRate' ? { parameter } : { parameter, analyte }
+  const value = currentValue(params, parameter, analyte) ?? 1
+  let max = value * 1.5
+  if (parameter !== 'leachingRate' && parameter !== 'applicationRate') {
+    const seasonal = params.analytes.find(a => a.name === analyte)?.leaching.model === 'seasonal'
+    max = Math.min(max, parameter === 'leachingLimit' && seasonal ? 0.99 : 1)
+  }
+  return { ...prior, min: value * 0.5, max }
+}
+
+// Inputs of an analyte that its leaching model lets be calibrated
+const inputsFor = (params, analyte) => {
+  const model = params.analytes.find(a => a.name === analyte)?.leaching.model
+  return CALIBRATION_INPUTS.filter(input => !input.models || input.models.includes(model))
+}
+
+const PriorRow = ({ index, prior, params, onChange, onRemove, errors }) => {
+  const field = `priors.${index}`
+  const analytes = params.analytes.map(a => a.name)
+  const inputs = prior.parameter === 'applicationRate' ? CALIBRATION_INPUTS : inputsFor(params, prior.analyte)
+
+  const setInput = (parameter, analyte) => onChange(defaultPrior(params, parameter, analyte))
+  const setBound = (key, value) => onChange({ ...prior, [key]: parseFloat(value) })
+
+  return (
+    <tr className="border-b border-gray-100 align-top">
+      <td className="py-1 pr-2">
+        <select
+          value={prior.parameter}
+          onChange={(e) => setInput(e.target.value, prior.analyte ?? analytes[0])}
+          className="input-field py-1"
+        >
+          {inputs.map(input => (
+            <option key={input.id} value={input.id}>{input.label} ({input.unit})</option>
+          ))}
+        </select>
+        <FieldError errors={errors} field={`${field}.parameter`} />
+      </td>
+      <td className="py-1 pr-2 w-20">
+        {prior.parameter !== 'applicationRate' && (
+          <select
+            value={prior.analyte}
+            onChange={(e) => setInput(prior.parameter, e.target.value)}
+            className="input-field py-1"
+          >
+            {analytes.map(name => <option key={name} value={name}>{name}</option>)}
+          </select>
+        )}
+        <FieldError errors={errors} field={`${field}.analyte`} />
+      </td>
+      {['min', 'max'].map(key => (
+        <td key={key} className="py-1 pr-2 w-28">
+          <input
+            type="number"
+            step="any"
+            value={prior[key]}
+            onChange={(e) => setBound(key, e.target.value)}
+            className="input-field py-1"
+          />
+          <FieldError errors={errors} field={`${field}.${key}`} />
+        </td>
+      ))}
+      <td className="py-1">
+        <button onClick={onRemove} className="p-1 text-gray-400 hover:text-red-600" title="Remove">
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </td>
+    </tr>
+  )
+}
+
+const formatValue = (x) => (x === 0 || Math.abs(x) >= 0.01 && Math.abs(x) < 1e4 ? x.toFixed(3) : x.toExponential(2))
+
+// Histogram of the accepted draws of one input over its prior range, with
+// its 95% credible interval shaded
+const MarginalChart = ({ marginal }) => {
+  const { edges, counts } = marginal.histogram
+  const data = counts.map((count, i) => ({ x: (edges[i] + edges[i + 1]) / 2, count }))
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium mb-2">{labelOf(marginal)} ({inputOf(marginal.parameter).unit})</h4>
+      <ResponsiveContainer width="100%" height={200}>
+        <BarChart data={data} barCategoryGap={1}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="x" type="number" domain={[marginal.min, marginal.max]} tickFormatter={formatValue} />
+          <YAxis allowDecimals={false} />
+          <Tooltip labelFormatter={formatValue} formatter={(value) => [value, 'Accepted draws']} />
+          <ReferenceArea x1={marginal.lower} x2={marginal.upper} fill="#2563eb" fillOpacity={0.08} />
+          <Bar dataKey="count" fill="#2563eb" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+// Posterior of the calibrated inputs: marginal histograms and a table of
+// posterior means, medians and credible intervals against the prior ranges
+const CalibrationResults = ({ result }) => (
+  <div className="space-y-8">
+    <p className="text-sm text-gray-600">
+      Kept the <span className="font-medium">{result.accepted.toLocaleString()}</span> of{' '}
+      {result.draws.toLocaleString()} draws closest to the observations (distance at most{' '}
+      {result.tolerance.toPrecision(3)}, compared over {result.statistics} summary statistics).
+    </p>
+
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-600 border-b">
+            <th className="py-1">Input</th>
+            <th className="py-1">Prior</th>
+            <th className="py-1">Mean</th>
+            <th className="py-1">Median</th>
+            <th className="py-1">95% credible interval</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.posterior.map(m => (
+            <tr key={`${m.parameter}|${m.analyte}`} className="border-b border-gray-100">
+              <td className="py-1">{labelOf(m)} ({inputOf(m.parameter).unit})</td>
+              <td className="py-1 text-gray-500">{formatValue(m.min)} – {formatValue(m.max)}</td>
+              <td className="py-1">{formatValue(m.mean)}</td>
+              <td className="py-1 font-medium">{formatValue(m.median)}</td>
+              <td className="py-1">{formatValue(m.lower)} – {formatValue(m.upper)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {result.posterior.map(m => <MarginalChart key={`${m.parameter}|${m.analyte}`} marginal={m} />)}
+    </div>
+  </div>
+)
+
+// Page for calibrating uncertain inputs of the trial simulation against
+// observed samples by approximate Bayesian computation, run on the server as a
+// job. Uses the simulation parameters and observed data of the trial page.
+// Shows the `opened` run from the run history with its priors and settings,
+// and calls `onFinish` when a calibration succeeds.
+const CalibrationPage = ({ simulationParams, observations, onObservationsChange, opened, onFinish }) => {
+  const firstAnalyte = simulationParams.analytes[0]?.name
+  const [priors, setPriors] = useState(() => [defaultPrior(simulationParams, 'leachingRate', firstAnalyte)])
+  const [draws, setDraws] = useState(DEFAULT_DRAWS)
+  const [acceptance, setAcceptance] = useState(DEFAULT_ACCEPTANCE)
+  const [result, setResult] = useState(null)
+  const [job, setJob] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState(null)
+  const watchRef = useRef(null)
+
+  useEffect(() => () => watchRef.current?.abort(), [])
+
+  useEffect(() => {
+    if (!opened) return
+    setPriors(opened.spec.priors)
+    setDraws(opened.spec.draws ?? DEFAULT_DRAWS)
+    setAcceptance(opened.spec.acceptance ?? DEFAULT_ACCEPTANCE)
+    setResult(opened.result)
+    setError(null)
+    setFieldErrors(null)
+  }, [opened])
+
+  const handleRun = async () => {
+    setIsRunning(true)
+    setError(null)
+    setFieldErrors(null)
+    setJob(null)
+    setProgress(null)
+
+    const controller = new AbortController()
+    watchRef.current = controller
+
+    try {
+      const { sweep, ...simulation } = simulationParams
+      const calibration = await runCalibration(
+        { simulation, observations: observations.observations, priors, draws, acceptance },
+        { onUpdate: setJob, onProgress: setProgress, signal: controller.signal }
+      )
+      if (calibration) {
+        setResult(calibration)
+        onFinish?.()
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to run calibration')
+      setFieldErrors(err.fields || null)
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    if (!job) return
+    try {
+      await cancelJob(job.id)
+    } catch (err) {
+      setError(err.message || 'Failed to cancel calibration')
+    }
+  }
+
+  const addPrior = () => {
+    const used = new Set(priors.map(p => `${p.parameter}|${p.analyte}`))
+    const next = simulationParams.analytes
+      .flatMap(a => inputsFor(simulationParams, a.name).filter(i => !i.global).map(i => [i.id, a.name]))
+      .concat([['applicationRate', undefined]])
+      .find(([parameter, analyte]) => !used.has(`${parameter}|${analyte}`))
+    if (next) setPriors([...priors, defaultPrior(simulationParams, ...next)])
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      <div className="lg:col-span-2">
+        <div className="card space-y-4">
+          <div className="flex items-center gap-2">
+            <Crosshair className="w-5 h-5 text-primary-600" />
+            <h2 className="text-xl font-semibold">Calibration</h2>
+          </div>
+          <p className="text-xs text-gray-500">
+            Draws the inputs below from uniform priors, simulates one realization of the trial simulation for each
+            draw, and keeps the draws whose samples match the observed means and spreads at each time point best.
+          </p>
+
+          <ObservationUpload
+            analytes={simulationParams.analytes.map(a => a.name)}
+            observations={observations}
+            onChange={onObservationsChange}
+          />
+          <FieldError errors={fieldErrors} field="observations" />
+          <FieldError errors={fieldErrors} field="simulation" />
+
+          <div>
+            <h3 className="text-sm font-medium mb-1">Priors</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-600 border-b">
+                  <th className="py-1">Input</th>
+                  <th className="py-1">Analyte</th>
+                  <th className="py-1">Min</th>
+                  <th className="py-1">Max</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {priors.map((prior, i) => (
+                  <PriorRow
+                    key={i}
+                    index={i}
+                    prior={prior}
+                    params={simulationParams}
+                    onChange={(changed) => setPriors(priors.map((p, j) => (j === i ? changed : p)))}
+                    onRemove={() => setPriors(priors.filter((_, j) => j !== i))}
+                    errors={fieldErrors}
+                  />
+                ))}
+              </tbody>
+            </table>
+            {fieldErrors?.priors && <p className="text-xs text-red-600 mt-1">{fieldErrors.priors}</p>}
+            <button onClick={addPrior} className="btn-secondary text-xs py-1 px-2 mt-2 flex items-center gap-1">
+              <Plus className="w-3 h-3" />
+              Add Input
+            </button>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Draws</label>
+              <input
+                type="number"
+                step="100"
+                min="100"
+                max="20000"
+                value={draws}
+                onChange={(e) => setDraws(parseInt(e.target.value))}
+                className="input-field"
+              />
+              <FieldError errors={fieldErrors} field="draws" />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Acceptance Fraction</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0.001"
+                max="0.5"
+                value={acceptance}
+                onChange={(e) => setAcceptance(parseFloat(e.target.value))}
+                className="input-field"
+              />
+              <FieldError errors={fieldErrors} field="acceptance" />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <button
+              onClick={handleRun}
+              disabled={isRunning || !observations || priors.length === 0}
+              className="btn-primary w-full flex items-center justify-center gap-2"
+            >
+              {isRunning ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Calibrating...
+                </>
+              ) : (
+                <>
+                  <Play className="w-4 h-4" />
+                  Run Calibration
+                </>
+              )}
+            </button>
+            {isRunning && job && (
+              <button onClick={handleCancel} className="btn-secondary w-full flex items-center justify-center gap-2">
+                <XCircle className="w-4 h-4" />
+                Cancel Calibration
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-red-700 text-sm">{error}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="lg:col-span-3">
+        <div className="card">
+          <h2 className="text-xl font-semibold mb-4">Posterior</h2>
+          {isRunning ? (
+            <JobProgress job={job} progress={progress} unit="Draw" />
+          ) : result ? (
+            <CalibrationResults result={result} />
+          ) : (
+            <div className="flex items-center justify-center h-96 text-center text-gray-500">
+              <div>
+                <Crosshair className="w-16 h-16 mx-auto mb-4 opacity-50" />
+                <p className="text-lg">No calibration yet</p>
+                <p className="text-sm">Upload observed data and choose the inputs to calibrate, then run the calibration</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CalibrationPage
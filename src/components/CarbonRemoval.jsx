@@ -0,0 +1,157 @@
+import React from 'react'
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts'
+
+// Line colors of each mobile cation
+const CATION_COLORS = { Ca: '#2563eb', Mg: '#dc2626', Na: '#16a34a', K: '#9333ea' }
+
+const BASELINES = {
+  control: 'the control samples of the same round',
+  preSpreading: 'the samples taken before spreading',
+  soil: 'the background soil concentrations of the spec'
+}
+
+const format = (x, digits = 2) => (x === null || x === undefined ? '—' : x.toFixed(digits))
+
+const describeBand = (band, scale = 1, digits = 2) => (band
+  ? `${format(band.mean * scale, digits)} (${format(band.lower * scale, digits)} to ${format(band.upper * scale, digits)})`
+  : '—')
+
+// Implied CO₂ removal by round: the mean and 90% band of the total and the
+// mean of each cation
+const chartData = (rounds, cations) => rounds.map(({ time, total, cations: byCation }) => {
+  const row = { time }
+  if (total) {
+    row.total = total.mean
+    row.band = [total.lower, total.upper]
+  }
+  for (const name of cations) {
+    row[name] = byCation[name]?.co2?.mean ?? null
+  }
+  return row
+})
+
+// Theoretical CDR potential of the feedstock and the CO₂ removal implied by
+// the cations lost from treatment samples, from the results' `cdr`
+const CarbonRemoval = ({ cdr }) => {
+  if (!cdr) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        <p>CO₂ estimates need at least one mobile cation (Ca, Mg, Na or K) among the analytes.</p>
+      </div>
+    )
+  }
+
+  const { potential, removal, applicationRate } = cdr
+  const cations = Object.keys(potential.cations)
+
+  return (
+    <div className="space-y-8">
+      <div className="space-y-3">
+        <h3 className="text-lg font-medium">Theoretical CDR Potential</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {cations.map(name => (
+            <div key={name} className="bg-gray-50 p-3 rounded-lg">
+              <p className="text-xs text-gray-600">{name}</p>
+              <p className="text-lg font-medium">{format(potential.cations[name], 3)}</p>
+              <p className="text-xs text-gray-500">t CO₂ / t rock</p>
+            </div>
+          ))}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <div className="bg-primary-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">Feedstock total</p>
+            <p className="text-2xl font-semibold">{format(potential.total, 3)} t CO₂ / t rock</p>
+          </div>
+          <div className="bg-primary-50 p-4 rounded-lg">
+            <p className="text-sm text-gray-600">At {applicationRate} kg/m² ({format(applicationRate * 10, 1)} t rock/ha)</p>
+            <p className="text-2xl font-semibold">{format(potential.perHectare, 2)} t CO₂ / ha</p>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500">
+          The most CO₂ the feedstock's mobile cations could remove if all of them weathered and were charge
+          balanced by bicarbonate.
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <h3 className="text-lg font-medium">Implied CO₂ Removal</h3>
+        {!removal ? (
+          <p className="text-sm text-gray-500">
+            Implied removal needs at least two sampling rounds at or after spreading.
+          </p>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600">
+              Share of the feedstock's cations lost from treatment samples since the round at {removal.reference} yr,
+              measured as the excess over {BASELINES[removal.baseline]}, and the CO₂ removal it implies. Bands span
+              the 5th to 95th percentiles over realizations.
+            </p>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={chartData(removal.rounds, cations)}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: 't CO₂ / ha', angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? `${format(value[0])} to ${format(value[1])}` : format(value),
+                    name
+                  ]}
+                  labelFormatter={(value) => `Time: ${value} years`}
+                />
+                <Legend />
+                <ReferenceLine y={0} stroke="#111827" />
+                <Area dataKey="band" name="Total, 90% band" stroke="none" fill="#6b7280" fillOpacity={0.2} />
+                <Line dataKey="total" name="Total" stroke="#111827" strokeWidth={2} />
+                {cations.map(name => (
+                  <Line
+                    key={name}
+                    dataKey={name}
+                    name={name}
+                    stroke={CATION_COLORS[name]}
+                    strokeDasharray="5 5"
+                    dot={false}
+                    connectNulls
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1">Time (yr)</th>
+                  {cations.map(name => (
+                    <th key={name} className="py-1">{name} lost (%)</th>
+                  ))}
+                  <th className="py-1">CO₂ (t/ha)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {removal.rounds.map(round => (
+                  <tr key={round.time} className="border-b border-gray-100">
+                    <td className="py-1">{round.time}</td>
+                    {cations.map(name => (
+                      <td key={name} className="py-1">{describeBand(round.cations[name]?.fractionLost, 100, 0)}</td>
+                    ))}
+                    <td className="py-1">{describeBand(round.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500">
+              Measurement noise can make early losses negative. Realizations whose treatment samples show no excess
+              in the reference round are left out.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default CarbonRemoval
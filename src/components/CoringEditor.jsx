@@ -0,0 +1,269 @@
+import React, { useMemo } from 'react'
+import FieldError from './FieldError'
+import { seededRandom } from '../services/geometry'
+
+export const STENCIL_TYPES = [
+  { id: 'single', label: 'Single core', params: [] },
+  { id: 'circle', label: 'Circle', params: ['cores', 'radius'] },
+  { id: 'hubSpoke', label: 'Hub and spoke', params: ['cores', 'radius'] },
+  { id: 'line', label: 'Line transect', params: ['cores', 'spacing', 'angle'] },
+  { id: 'random', label: 'Random', params: ['cores', 'spread'] }
+]
+
+export const JITTER_TYPES = [
+  { id: 'none', label: 'None' },
+  { id: 'normal', label: 'Normal' },
+  { id: 'gridCentroid', label: 'Within grid cell' }
+]
+
+// Label, input step and default of each stencil parameter
+const STENCIL_PARAMS = {
+  cores: ['Cores', 1, 5],
+  radius: ['Radius (m)', 0.1, 1],
+  spacing: ['Spacing (m)', 0.1, 1],
+  angle: ['Angle (° from east)', 15, 0],
+  spread: ['Spread σ (m)', 0.1, 1]
+}
+
+// Stencils with a core at the centre need at least one more
+const MIN_CORES = { hubSpoke: 2, line: 2 }
+
+// What the simulation uses for a spec without coring
+export const DEFAULT_CORING = {
+  stencil: { type: 'circle', cores: 5, radius: 1 },
+  samplerJitter: { type: 'normal', sigma: 1 },
+  coreJitter: { type: 'normal', sigma: 0.1 }
+}
+
+// Core positions of a stencil around a sample location at the origin, as the
+// simulation places them before jitter. Random stencils are drawn from a fixed
+// seed, so they only show what a pattern looks like.
+export const corePositions = (stencil) => {
+  const { type, cores = 1 } = stencil
+  const circle = (n, r) => Array.from({ length: n }, (_, i) => {
+    const angle = (2 * Math.PI * i) / n
+    return [r * Math.cos(angle), r * Math.sin(angle)]
+  })
+  switch (type) {
+    case 'circle':
+      return circle(cores, stencil.radius)
+    case 'hubSpoke':
+      return [[0, 0], ...circle(cores - 1, stencil.radius)]
+    case 'line': {
+      const angle = ((stencil.angle ?? 0) * Math.PI) / 180
+      const length = (cores - 1) * stencil.spacing
+      return Array.from({ length: cores }, (_, i) => {
+        const offset = length * (i / (cores - 1) - 0.5)
+        return [offset * Math.cos(angle), offset * Math.sin(angle)]
+      })
+    }
+    case 'random': {
+      const random = seededRandom(1)
+      return Array.from({ length: cores }, () => {
+        const r = stencil.spread * Math.sqrt(-2 * Math.log(1 - random()))
+        const angle = 2 * Math.PI * random()
+        return [r * Math.cos(angle), r * Math.sin(angle)]
+      })
+    }
+    default:
+      return [[0, 0]]
+  }
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`
+
+// Short descriptions of coring specs for the parameters tab
+export const describeStencil = (stencil = DEFAULT_CORING.stencil) => {
+  const { type, cores } = stencil
+  switch (type) {
+    case 'circle':
+      return `${plural(cores, 'core')} on a ${stencil.radius} m circle`
+    case 'hubSpoke':
+      return `${plural(cores, 'core')}, hub and spoke of ${stencil.radius} m`
+    case 'line':
+      return `${plural(cores, 'core')} ${stencil.spacing} m apart on a line at ${stencil.angle ?? 0}°`
+    case 'random':
+      return `${plural(cores, 'core')} scattered with σ = ${stencil.spread} m`
+    default:
+      return 'Single core'
+  }
+}
+
+export const describeJitter = (jitter) => {
+  switch (jitter.type) {
+    case 'normal':
+      return `σ = ${jitter.sigma} m`
+    case 'gridCentroid':
+      return `Within grid cell, centering ${jitter.centering}`
+    default:
+      return 'None'
+  }
+}
+
+// Core pattern around one sample location, with circles of one standard
+// deviation of the sampler jitter around the location and of the core jitter
+// around each core
+const StencilDiagram = ({ coring }) => {
+  const cores = useMemo(() => corePositions(coring.stencil), [coring.stencil])
+  const sigma = (jitter) => (jitter.type === 'normal' ? jitter.sigma : 0)
+  const [sampler, core] = [sigma(coring.samplerJitter), sigma(coring.coreJitter)]
+  const reach = Math.max(...cores.map(([x, y]) => Math.hypot(x, y) + core), sampler, 0.5)
+  const size = reach * 2.4
+  const pixel = size / 200
+
+  return (
+    <div className="space-y-1">
+      <svg
+        viewBox={`${-size / 2} ${-size / 2} ${size} ${size}`}
+        className="w-40 aspect-square bg-white border border-gray-200 rounded-lg"
+      >
+        {sampler > 0 && (
+          <circle r={sampler} fill="none" stroke="#9ca3af" strokeWidth={pixel} strokeDasharray={`${4 * pixel}`} />
+        )}
+        <path
+          d={`M ${-6 * pixel} 0 H ${6 * pixel} M 0 ${-6 * pixel} V ${6 * pixel}`}
+          stroke="#374151"
+          strokeWidth={pixel}
+        />
+        {cores.map(([x, y], i) => (
+          <g key={i}>
+            {core > 0 && <circle cx={x} cy={-y} r={core} fill="rgba(22, 163, 74, 0.15)" />}
+            <circle cx={x} cy={-y} r={3 * pixel} fill="#16a34a" />
+          </g>
+        ))}
+      </svg>
+      <p className="text-xs text-gray-500">
+        Cores around one sample location, {size.toFixed(1)} m across
+        {sampler > 0 && '; dashed: sampler jitter (1σ)'}
+      </p>
+    </div>
+  )
+}
+
+const JitterInput = ({ label, jitter, onChange, errors, field, allowGrid }) => (
+  <div>
+    <label className="block text-xs text-gray-600 mb-1">{label}</label>
+    <div className="grid grid-cols-2 gap-2">
+      <select
+        value={jitter.type}
+        onChange={(e) => {
+          const type = e.target.value
+          onChange(
+            type === 'normal'
+              ? { type, sigma: jitter.sigma ?? 0.1 }
+              : type === 'gridCentroid'
+                ? { type, centering: jitter.centering ?? 2 }
+                : { type }
+          )
+        }}
+        className="input-field py-1"
+      >
+        {JITTER_TYPES.filter(({ id }) => allowGrid || id !== 'gridCentroid').map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      {jitter.type === 'normal' && (
+        <input
+          type="number"
+          step="0.1"
+          min="0"
+          value={jitter.sigma}
+          onChange={(e) => onChange({ ...jitter, sigma: parseFloat(e.target.value) })}
+          className="input-field"
+          title="Standard deviation (m)"
+        />
+      )}
+      {jitter.type === 'gridCentroid' && (
+        <input
+          type="number"
+          step="0.5"
+          min="0"
+          value={jitter.centering}
+          onChange={(e) => onChange({ ...jitter, centering: parseFloat(e.target.value) })}
+          className="input-field"
+          title="Centering; 1 is uniform over the cell"
+        />
+      )}
+    </div>
+    <FieldError errors={errors} field={field} />
+  </div>
+)
+
+const CoringEditor = ({ coring = DEFAULT_CORING, onChange, errors, planType }) => {
+  const { stencil } = coring
+  const samplerJitter = coring.samplerJitter ?? DEFAULT_CORING.samplerJitter
+  const coreJitter = coring.coreJitter ?? DEFAULT_CORING.coreJitter
+  const { params } = STENCIL_TYPES.find(s => s.id === stencil.type)
+
+  const set = (changes) => onChange({ stencil, samplerJitter, coreJitter, ...changes })
+
+  const changeType = (type) => {
+    const next = { type }
+    STENCIL_TYPES.find(s => s.id === type).params.forEach(key => {
+      next[key] = stencil[key] ?? STENCIL_PARAMS[key][2]
+    })
+    if (next.cores !== undefined) next.cores = Math.max(next.cores, MIN_CORES[type] ?? 1)
+    set({ stencil: next })
+  }
+
+  const setParam = (key, value) => {
+    set({ stencil: { ...stencil, [key]: key === 'cores' ? parseInt(value) : parseFloat(value) } })
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Core Stencil</label>
+        <select
+          value={stencil.type}
+          onChange={(e) => changeType(e.target.value)}
+          className="input-field py-1"
+        >
+          {STENCIL_TYPES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <FieldError errors={errors} field="coring.stencil.type" />
+      </div>
+
+      {params.length > 0 && (
+        <div className="grid grid-cols-3 gap-2">
+          {params.map(key => (
+            <div key={key}>
+              <label className="block text-xs text-gray-600 mb-1">{STENCIL_PARAMS[key][0]}</label>
+              <input
+                type="number"
+                step={STENCIL_PARAMS[key][1]}
+                min={key === 'cores' ? MIN_CORES[stencil.type] ?? 1 : key === 'angle' ? undefined : 0}
+                value={stencil[key]}
+                onChange={(e) => setParam(key, e.target.value)}
+                className="input-field"
+              />
+              <FieldError errors={errors} field={`coring.stencil.${key}`} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <JitterInput
+        label="Sampler Jitter (m)"
+        jitter={samplerJitter}
+        onChange={(jitter) => set({ samplerJitter: jitter })}
+        errors={errors}
+        field="coring.samplerJitter"
+        allowGrid={planType === 'grid' || samplerJitter.type === 'gridCentroid'}
+      />
+      <JitterInput
+        label="Core Jitter (m)"
+        jitter={coreJitter}
+        onChange={(jitter) => set({ coreJitter: jitter })}
+        errors={errors}
+        field="coring.coreJitter"
+      />
+
+      <StencilDiagram coring={{ stencil, samplerJitter, coreJitter }} />
+    </div>
+  )
+}
+
+export default CoringEditor
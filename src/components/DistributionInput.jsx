@@ -0,0 +1,92 @@
+import React from 'react'
+import FieldError from './FieldError'
+
+const DISTRIBUTIONS = [
+  { id: 'fixed', label: 'Fixed', params: [['value', 'Value']] },
+  { id: 'uniform', label: 'Uniform', params: [['min', 'Min'], ['max', 'Max']] },
+  { id: 'triangular', label: 'Triangular', params: [['min', 'Min'], ['mode', 'Mode'], ['max', 'Max']] },
+  { id: 'normal', label: 'Normal', params: [['mean', 'Mean'], ['std', 'Std Dev']] }
+]
+
+const round = (x) => Number(x.toPrecision(3))
+
+// Parameters of a distribution when switching to it, centred on `center`
+const distributionDefaults = (type, center) => {
+  switch (type) {
+    case 'fixed':
+      return { type, value: center }
+    case 'uniform':
+      return { type, min: round(center * 0.8), max: round(center * 1.2) }
+    case 'triangular':
+      return { type, min: round(center * 0.8), mode: center, max: round(center * 1.2) }
+    case 'normal':
+      return { type, mean: center, std: round(center * 0.1) }
+  }
+}
+
+const centerOf = (dist) => dist.value ?? dist.mode ?? dist.mean ?? round((dist.min + dist.max) / 2)
+
+// Short description of a distribution spec, e.g. 'Tri(0.08, 0.1, 0.12)'
+export const describeDistribution = (dist, unit = '') => {
+  const suffix = unit ? ` ${unit}` : ''
+  switch (dist.type) {
+    case 'fixed':
+      return `${dist.value}${suffix}`
+    case 'uniform':
+      return `U(${dist.min}, ${dist.max})${suffix}`
+    case 'triangular':
+      return `Tri(${dist.min}, ${dist.mode}, ${dist.max})${suffix}`
+    case 'normal':
+      return `N(${dist.mean}, ${dist.std})${suffix}`
+  }
+}
+
+// Editor for a distribution spec. With a `defaultLabel`, the distribution is
+// optional and an extra choice leaves it undefined.
+const DistributionInput = ({ label, value, onChange, errors, field, step = '0.01', defaultLabel, fallbackCenter = 1 }) => {
+  const changeType = (type) => {
+    if (type === '') return onChange(undefined)
+    onChange(distributionDefaults(type, value ? centerOf(value) : fallbackCenter))
+  }
+
+  const params = value ? DISTRIBUTIONS.find(d => d.id === value.type).params : []
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">{label}</label>
+        <select
+          value={value?.type ?? ''}
+          onChange={(e) => changeType(e.target.value)}
+          className="input-field py-1"
+        >
+          {defaultLabel && <option value="">{defaultLabel}</option>}
+          {DISTRIBUTIONS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        {errors?.[field] && <p className="text-xs text-red-600 mt-1">{errors[field]}</p>}
+      </div>
+
+      {params.length > 0 && (
+        <div className={`grid gap-2 ${params.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          {params.map(([key, name]) => (
+            <div key={key}>
+              <label className="block text-xs text-gray-500 mb-1">{name}</label>
+              <input
+                type="number"
+                step={step}
+                value={value[key] ?? ''}
+                onChange={(e) => onChange({ ...value, [key]: parseFloat(e.target.value) })}
+                className="input-field"
+              />
+              <FieldError errors={errors} field={`${field}.${key}`} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DistributionInput
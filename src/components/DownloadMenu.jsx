@@ -0,0 +1,68 @@
+import React, { useState } from 'react'
+import { Download, Loader2, ChevronDown } from 'lucide-react'
+import { EXPORT_FORMATS, exportJob } from '../services/api'
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Download button with a menu of result formats, exported by the server from
+// job `jobId`. Without a job only the displayed `results` can be saved, as JSON.
+const DownloadMenu = ({ jobId, results, onError }) => {
+  const [open, setOpen] = useState(false)
+  const [busy, setBusy] = useState(null)
+
+  const formats = jobId ? EXPORT_FORMATS : EXPORT_FORMATS.filter(({ format }) => format === 'json')
+
+  const handleDownload = async (format) => {
+    setOpen(false)
+    if (!jobId) {
+      const blob = new Blob([JSON.stringify(results, null, 2)], { type: 'application/json' })
+      saveBlob(blob, `monty_simulation_${new Date().toISOString().split('T')[0]}.json`)
+      return
+    }
+    setBusy(format)
+    try {
+      const { blob, filename } = await exportJob(jobId, format)
+      saveBlob(blob, filename)
+    } catch (err) {
+      onError?.(err.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy !== null}
+        className="btn-secondary w-full flex items-center justify-center gap-2"
+      >
+        {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+        {busy ? `Exporting ${EXPORT_FORMATS.find(f => f.format === busy).label}...` : 'Download Results'}
+        <ChevronDown className="w-4 h-4" />
+      </button>
+      {open && (
+        <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1">
+          {formats.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => handleDownload(format)}
+              className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DownloadMenu
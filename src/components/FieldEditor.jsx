@@ -0,0 +1,196 @@
+import React, { useRef, useState } from 'react'
+import { Pencil, Check, Undo2, Upload, Circle, Trash2 } from 'lucide-react'
+import FieldError from './FieldError'
+import { bounds, circleRing, parseFieldFile, polygonArea } from '../services/geometry'
+
+// Radius of the field used when no outline is given (m)
+export const DEFAULT_FIELD_RADIUS = 50
+
+const SIZE = 300
+
+// Outline of a field spec, a polygon approximating the default circle if it
+// has none
+export const fieldRing = (field) => field?.coordinates ?? circleRing(DEFAULT_FIELD_RADIUS)
+
+// Square view of some outlines with a margin, in metres
+export const viewOf = (...rings) => {
+  const points = rings.filter(Boolean).flat()
+  const { minX, maxX, minY, maxY } = bounds(points.length > 0 ? points : fieldRing())
+  const size = Math.max(maxX - minX, maxY - minY, 1) * 1.2
+  return { x: (minX + maxX - size) / 2, y: (minY + maxY - size) / 2, size }
+}
+
+// Spacing of grid lines: a round number of metres giving about 4 to 10 lines
+const gridStep = (size) => {
+  const step = 10 ** Math.floor(Math.log10(size / 4))
+  return size / step > 20 ? step * 5 : size / step > 10 ? step * 2 : step
+}
+
+// SVG outline, north up, shared by the editors and maps
+export const Outline = ({ ring, ...props }) => (
+  <polygon points={ring.map(([x, y]) => `${x},${-y}`).join(' ')} {...props} />
+)
+
+export const FieldGrid = ({ view }) => {
+  const step = gridStep(view.size)
+  const lines = []
+  for (let x = Math.ceil(view.x / step) * step; x <= view.x + view.size; x += step) {
+    lines.push(<line key={`x${x}`} x1={x} x2={x} y1={-view.y - view.size} y2={-view.y} />)
+  }
+  for (let y = Math.ceil(view.y / step) * step; y <= view.y + view.size; y += step) {
+    lines.push(<line key={`y${y}`} x1={view.x} x2={view.x + view.size} y1={-y} y2={-y} />)
+  }
+  return (
+    <g stroke="#e5e7eb" strokeWidth={view.size / SIZE}>
+      {lines}
+    </g>
+  )
+}
+
+// Editor of the field outline, or of another zone (such as a control zone)
+// when given a `zone` name; zones may be left empty and are drawn over the
+// field outline `backdrop`. Uploaded field outlines are passed to `onChange`
+// with the frame they were read in, and uploaded zones are placed in the
+// field's `frame`, so they can only be uploaded after the field.
+const FieldEditor = ({ field, onChange, errors, errorField = 'field', zone, backdrop, frame }) => {
+  const svgRef = useRef(null)
+  const fileRef = useRef(null)
+  const [draft, setDraft] = useState(null)
+  const [drawView, setDrawView] = useState(null)
+  const [uploadError, setUploadError] = useState(null)
+
+  const ring = zone ? field?.coordinates : fieldRing(field)
+  const view = drawView ?? viewOf(ring, backdrop)
+  const pixel = view.size / SIZE
+  const [fill, stroke] = zone ? ['rgba(107, 114, 128, 0.2)', '#6b7280'] : ['rgba(22, 163, 74, 0.15)', '#16a34a']
+
+  const startDrawing = () => {
+    setDrawView(view)
+    setDraft([])
+    setUploadError(null)
+  }
+
+  const finishDrawing = () => {
+    if (draft.length >= 3) onChange({ coordinates: draft })
+    setDraft(null)
+    setDrawView(null)
+  }
+
+  const handleClick = (e) => {
+    if (!draft) return
+    const point = svgRef.current.createSVGPoint()
+    point.x = e.clientX
+    point.y = e.clientY
+    const { x, y } = point.matrixTransform(svgRef.current.getScreenCTM().inverse())
+    const snap = (v) => Math.round(v * 10) / 10
+    setDraft([...draft, [snap(x), snap(-y)]])
+  }
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    if (zone && !frame) {
+      setUploadError(`Upload the field outline before the ${zone}, so that the ${zone} keeps its place next to the field`)
+      return
+    }
+    try {
+      const { coordinates, frame: read } = parseFieldFile(await file.text(), zone ? frame : undefined)
+      onChange({ coordinates }, read)
+      setUploadError(null)
+    } catch (err) {
+      setUploadError(`Could not read ${file.name}: ${err.message}`)
+    }
+  }
+
+  const area = field ? polygonArea(field.coordinates) : Math.PI * DEFAULT_FIELD_RADIUS ** 2
+
+  return (
+    <div className="space-y-2">
+      <svg
+        ref={svgRef}
+        viewBox={`${view.x} ${-view.y - view.size} ${view.size} ${view.size}`}
+        className={`w-full aspect-square bg-white border border-gray-200 rounded-lg ${draft ? 'cursor-crosshair' : ''}`}
+        onClick={handleClick}
+      >
+        <FieldGrid view={view} />
+        {backdrop && (
+          <Outline ring={backdrop} fill="none" stroke="#16a34a" strokeWidth={pixel} strokeDasharray={`${4 * pixel}`} />
+        )}
+        {draft ? (
+          <>
+            <polyline
+              points={draft.map(([x, y]) => `${x},${-y}`).join(' ')}
+              fill="rgba(37, 99, 235, 0.1)"
+              stroke="#2563eb"
+              strokeWidth={2 * pixel}
+            />
+            {draft.map(([x, y], i) => (
+              <circle key={i} cx={x} cy={-y} r={3 * pixel} fill="#2563eb" />
+            ))}
+          </>
+        ) : (
+          ring && <Outline ring={ring} fill={fill} stroke={stroke} strokeWidth={2 * pixel} />
+        )}
+      </svg>
+
+      <div className="flex flex-wrap gap-2">
+        {draft ? (
+          <>
+            <button type="button" onClick={finishDrawing} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1">
+              <Check className="w-3 h-3" />
+              {draft.length >= 3 ? 'Finish' : 'Cancel'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(draft.slice(0, -1))}
+              disabled={draft.length === 0}
+              className="btn-secondary text-xs py-1 px-2 flex items-center gap-1 disabled:opacity-50"
+            >
+              <Undo2 className="w-3 h-3" />
+              Undo
+            </button>
+          </>
+        ) : (
+          <>
+            <button type="button" onClick={startDrawing} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1">
+              <Pencil className="w-3 h-3" />
+              Draw
+            </button>
+            <button type="button" onClick={() => fileRef.current.click()} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1">
+              <Upload className="w-3 h-3" />
+              GeoJSON / WKT
+            </button>
+            {field && (
+              <button type="button" onClick={() => onChange(undefined)} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1">
+                {zone ? <Trash2 className="w-3 h-3" /> : <Circle className="w-3 h-3" />}
+                {zone ? 'Remove' : 'Default Circle'}
+              </button>
+            )}
+          </>
+        )}
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".geojson,.json,.wkt,.txt"
+          onChange={handleUpload}
+          className="hidden"
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {draft
+          ? 'Click to add vertices, then finish to close the outline.'
+          : field
+            ? `${field.coordinates.length} vertices, ${(area / 1e4).toFixed(2)} ha`
+            : zone
+              ? `No ${zone}`
+              : `Circle of ${DEFAULT_FIELD_RADIUS} m radius, ${(area / 1e4).toFixed(2)} ha`}
+      </p>
+      {uploadError && <p className="text-xs text-red-600">{uploadError}</p>}
+      <FieldError errors={errors} field={errorField} />
+    </div>
+  )
+}
+
+export default FieldEditor
@@ -0,0 +1,15 @@
+import React from 'react'
+
+// First validation error for a field or any part of it, e.g. 'timePoints.2'
+export const fieldError = (errors, field) => {
+  if (!errors) return null
+  const key = Object.keys(errors).find(k => k === field || k.startsWith(`${field}.`))
+  return key ? errors[key] : null
+}
+
+const FieldError = ({ errors, field }) => {
+  const message = fieldError(errors, field)
+  return message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null
+}
+
+export default FieldError
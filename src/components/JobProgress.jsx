@@ -0,0 +1,99 @@
+import React from 'react'
+import { Loader2 } from 'lucide-react'
+
+const formatDuration = (seconds) => {
+  if (seconds == null || !isFinite(seconds)) return null
+  if (seconds < 60) return `${Math.ceil(seconds)} s`
+  const minutes = Math.floor(seconds / 60)
+  if (minutes < 60) return `${minutes} min ${Math.round(seconds % 60)} s`
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+// Progress of a job counted in `unit`s, e.g. realizations or calibration draws
+const JobProgress = ({ job, progress, unit = 'Realization' }) => {
+  if (!progress) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center">
+          <Loader2 className="w-8 h-8 animate-spin text-primary-600 mx-auto mb-4" />
+          <p className="text-gray-600">
+            {job?.status === 'queued'
+              ? 'Waiting for a free simulation slot...'
+              : 'Starting Monty simulation...'}
+          </p>
+          {job && (
+            <p className="text-xs text-gray-400 mt-2">Job {job.id}</p>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  const { completed, total, elapsed, eta, summary } = progress
+  const percent = total > 0 ? (100 * completed) / total : 0
+  const remaining = formatDuration(eta)
+
+  return (
+    <div className="space-y-6 py-8">
+      <div>
+        <div className="flex justify-between text-sm text-gray-600 mb-2">
+          <span>{unit} {completed} of {total}</span>
+          <span>{percent.toFixed(0)}%</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-3">
+          <div
+            className="bg-primary-600 h-3 rounded-full transition-all duration-300"
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-2">
+          <span>Elapsed: {formatDuration(elapsed)}</span>
+          {remaining && <span>About {remaining} left</span>}
+        </div>
+      </div>
+
+      {summary && (
+        <div>
+          <h3 className="text-sm font-medium text-gray-700 mb-3">
+            Running Statistics ({completed} realizations)
+          </h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {Object.entries(summary).map(([analyte, stats]) => (
+              <div key={analyte} className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm">
+                <div className="font-medium">{analyte}</div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Mean:</span>
+                  <span className="font-medium">{(stats.mean * 1e6).toFixed(2)} ppm</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Std Dev:</span>
+                  <span className="font-medium">
+                    {stats.std == null ? '—' : `${(stats.std * 1e6).toFixed(2)} ppm`}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Range:</span>
+                  <span className="font-medium">
+                    {(stats.min * 1e6).toFixed(2)} – {(stats.max * 1e6).toFixed(2)} ppm
+                  </span>
+                </div>
+                {stats.censored > 0 && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Censored:</span>
+                    <span className="font-medium">{(stats.censored * 100).toFixed(1)}%</span>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {job && (
+        <p className="text-xs text-gray-400 text-center">Job {job.id}</p>
+      )}
+    </div>
+  )
+}
+
+export default JobProgress
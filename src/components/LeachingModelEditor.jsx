@@ -0,0 +1,219 @@
+import React from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts'
+import FieldError from './FieldError'
+
+export const LEACHING_MODELS = [
+  { id: 'none', label: 'No Leaching' },
+  { id: 'exponential', label: 'Exponential' },
+  { id: 'multiExponential', label: 'Multi-Exponential' },
+  { id: 'seasonal', label: 'Seasonal' }
+]
+
+// Parameters of a model when switching to it, keeping the current rate
+const modelDefaults = (model, rate = 1) => {
+  switch (model) {
+    case 'none':
+      return { model }
+    case 'exponential':
+      return { model, rate, limit: 1, noise: 0 }
+    case 'multiExponential':
+      return { model, rates: [rate, rate / 10], limit: 1, noise: 0 }
+    case 'seasonal':
+      return { model, rate, limit: 0.99, floor: 0, power: 1, phase: Math.PI, noise: 0 }
+  }
+}
+
+// Integral of SeasonalLeaching's annual cycle from 0 to t (see src/leaching_models.jl)
+const seasonalIntegral = (t, A, power, phase) => {
+  const x = 2 * Math.PI * t + phase
+  const s = (k, y) => Math.sin(k * y)
+  if (power === 1) {
+    return A * Math.sin(Math.PI * t) * Math.cos(Math.PI * t + phase) / (2 * Math.PI) - A * t / 2 + t
+  }
+  if (power === 2) {
+    return A * (8 * s(1, x) + s(2, x) + 12 * Math.PI * t - 8 * s(1, phase) - s(2, phase)) / (32 * Math.PI) - A * t + t
+  }
+  return A * (45 * s(1, x) + 9 * s(2, x) + s(3, x) + 60 * Math.PI * t - 45 * s(1, phase) - 9 * s(2, phase) - s(3, phase)) / (192 * Math.PI) - A * t + t
+}
+
+// Fraction of the analyte left in the feedstock at time t >= 0, without noise
+export const fractionRemaining = (leaching, t) => {
+  const { model, limit = 1 } = leaching
+  switch (model) {
+    case 'exponential':
+      return 1 - limit * (1 - Math.exp(-leaching.rate * t))
+    case 'multiExponential': {
+      const { rates } = leaching
+      const decay = rates.reduce((sum, rate) => sum + Math.exp(-rate * t), 0) / rates.length
+      return 1 - limit * (1 - decay)
+    }
+    case 'seasonal': {
+      const { rate, floor = 0, power = 1, phase = Math.PI } = leaching
+      return 1 - limit * (1 - Math.exp(-rate * seasonalIntegral(t, 1 - floor, power, phase)))
+    }
+    default:
+      return 1
+  }
+}
+
+// Short description of a leaching spec, e.g. 'Exponential, λ = 0.8 /yr'
+export const describeLeaching = (leaching) => {
+  switch (leaching.model) {
+    case 'exponential':
+      return `Exponential, λ = ${leaching.rate} /yr`
+    case 'multiExponential':
+      return `Multi-exponential, λ = ${leaching.rates.join(', ')} /yr`
+    case 'seasonal':
+      return `Seasonal, λ = ${leaching.rate} /yr`
+    default:
+      return 'None'
+  }
+}
+
+const NumberField = ({ label, value, step, onChange, errors, field }) => (
+  <div>
+    <label className="block text-xs text-gray-600 mb-1">{label}</label>
+    <input
+      type="number"
+      step={step}
+      value={value ?? ''}
+      onChange={(e) => onChange(parseFloat(e.target.value))}
+      className="input-field"
+    />
+    <FieldError errors={errors} field={field} />
+  </div>
+)
+
+const LeachingModelEditor = ({ leaching, onChange, errors, field, horizon = 2 }) => {
+  const set = (key, value) => onChange({ ...leaching, [key]: value })
+
+  const changeModel = (model) => {
+    const rate = leaching.rate ?? leaching.rates?.[0]
+    onChange(modelDefaults(model, rate))
+  }
+
+  const handleRatesChange = (value) => {
+    const rates = value.split(',').map(r => parseFloat(r.trim())).filter(r => !isNaN(r))
+    set('rates', rates)
+  }
+
+  const preview = Array.from({ length: 101 }, (_, i) => {
+    const time = (horizon * i) / 100
+    return { time, remaining: fractionRemaining(leaching, time) }
+  })
+
+  return (
+    <div className="space-y-2">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Leaching Model</label>
+        <select
+          value={leaching.model}
+          onChange={(e) => changeModel(e.target.value)}
+          className="input-field py-1"
+        >
+          {LEACHING_MODELS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        {errors?.[field] && <p className="text-xs text-red-600 mt-1">{errors[field]}</p>}
+      </div>
+
+      {leaching.model !== 'none' && (
+        <div className="grid grid-cols-2 gap-2">
+          {leaching.model === 'multiExponential' ? (
+            <div className="col-span-2">
+              <label className="block text-xs text-gray-600 mb-1">
+                Leaching Rates (1/yr, comma-separated)
+              </label>
+              <input
+                key={leaching.rates.join(',')}
+                type="text"
+                defaultValue={leaching.rates.join(', ')}
+                onBlur={(e) => handleRatesChange(e.target.value)}
+                className="input-field"
+                placeholder="1.0, 0.1"
+              />
+              <FieldError errors={errors} field={`${field}.rates`} />
+            </div>
+          ) : (
+            <NumberField
+              label="Leaching Rate (1/yr)"
+              step="0.1"
+              value={leaching.rate}
+              onChange={(v) => set('rate', v)}
+              errors={errors}
+              field={`${field}.rate`}
+            />
+          )}
+          <NumberField
+            label="Max Leached Fraction"
+            step="0.01"
+            value={leaching.limit}
+            onChange={(v) => set('limit', v)}
+            errors={errors}
+            field={`${field}.limit`}
+          />
+          {leaching.model === 'seasonal' && (
+            <>
+              <NumberField
+                label="Rate Floor"
+                step="0.05"
+                value={leaching.floor}
+                onChange={(v) => set('floor', v)}
+                errors={errors}
+                field={`${field}.floor`}
+              />
+              <div>
+                <label className="block text-xs text-gray-600 mb-1">Slow Season Width</label>
+                <select
+                  value={leaching.power}
+                  onChange={(e) => set('power', parseInt(e.target.value))}
+                  className="input-field"
+                >
+                  <option value={1}>Short (1)</option>
+                  <option value={2}>Medium (2)</option>
+                  <option value={3}>Long (3)</option>
+                </select>
+                <FieldError errors={errors} field={`${field}.power`} />
+              </div>
+              <NumberField
+                label="Phase (radians)"
+                step="0.1"
+                value={leaching.phase}
+                onChange={(v) => set('phase', v)}
+                errors={errors}
+                field={`${field}.phase`}
+              />
+            </>
+          )}
+          <NumberField
+            label="Noise (σ)"
+            step="0.05"
+            value={leaching.noise}
+            onChange={(v) => set('noise', v)}
+            errors={errors}
+            field={`${field}.noise`}
+          />
+        </div>
+      )}
+
+      <div>
+        <p className="text-xs text-gray-600 mb-1">Fraction Remaining</p>
+        <ResponsiveContainer width="100%" height={100}>
+          <LineChart data={preview} margin={{ top: 5, right: 5, bottom: 0, left: -30 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="time" type="number" domain={[0, horizon]} tick={{ fontSize: 10 }} />
+            <YAxis domain={[0, 1]} tick={{ fontSize: 10 }} />
+            <Tooltip
+              formatter={(value) => [value.toFixed(3), 'Remaining']}
+              labelFormatter={(value) => `${value.toFixed(2)} years`}
+            />
+            <Line type="monotone" dataKey="remaining" stroke="#2563eb" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
+
+export default LeachingModelEditor
@@ -0,0 +1,86 @@
+import React from 'react'
+import DistributionInput, { describeDistribution } from './DistributionInput'
+
+export const MIXING_MODELS = [
+  { id: 'unmixed', label: 'Unmixed (surface layer)' },
+  { id: 'triangular', label: 'Triangular (wedge)' },
+  { id: 'uniform', label: 'Uniform (tilled layer)' },
+  { id: 'exponential', label: 'Exponential decay' }
+]
+
+// Mixing depth (upper) or length scale (scale) parameter of each model
+const PROFILE_PARAMS = {
+  triangular: ['upper', 'Mixing Depth (m)'],
+  uniform: ['upper', 'Mixing Depth (m)'],
+  exponential: ['scale', 'Decay Length Scale (m)']
+}
+
+const PROFILE_DEFAULTS = {
+  upper: { type: 'triangular', min: 0.15, mode: 0.2, max: 0.25 },
+  scale: { type: 'uniform', min: 0.03, max: 0.08 }
+}
+
+// Short description of a mixing spec for the parameters tab
+export const describeMixing = (mixing = { model: 'unmixed' }) => {
+  const { label } = MIXING_MODELS.find(m => m.id === mixing.model)
+  const [key] = PROFILE_PARAMS[mixing.model] ?? []
+  return key ? `${label}, ${key} ${describeDistribution(mixing[key], 'm')}` : label
+}
+
+const MixingEditor = ({ mixing = { model: 'unmixed' }, onChange, errors, samplingDepth }) => {
+  const [key, label] = PROFILE_PARAMS[mixing.model] ?? []
+
+  const changeModel = (model) => {
+    const next = { model }
+    if (mixing.depth) next.depth = mixing.depth
+    const [nextKey] = PROFILE_PARAMS[model] ?? []
+    if (nextKey) next[nextKey] = mixing[nextKey] ?? PROFILE_DEFAULTS[nextKey]
+    onChange(next)
+  }
+
+  const set = (name, value) => {
+    const next = { ...mixing, [name]: value }
+    if (value === undefined) delete next[name]
+    onChange(next)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Mixing Profile</label>
+        <select
+          value={mixing.model}
+          onChange={(e) => changeModel(e.target.value)}
+          className="input-field py-1"
+        >
+          {MIXING_MODELS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        {errors?.mixing && <p className="text-xs text-red-600 mt-1">{errors.mixing}</p>}
+      </div>
+
+      <DistributionInput
+        label="Sample Depth (m)"
+        value={mixing.depth}
+        onChange={(depth) => set('depth', depth)}
+        errors={errors}
+        field="mixing.depth"
+        defaultLabel="Sampling depth ±20%"
+        fallbackCenter={samplingDepth}
+      />
+
+      {key && (
+        <DistributionInput
+          label={label}
+          value={mixing[key]}
+          onChange={(value) => set(key, value)}
+          errors={errors}
+          field={`mixing.${key}`}
+        />
+      )}
+    </div>
+  )
+}
+
+export default MixingEditor
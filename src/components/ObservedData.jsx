@@ -0,0 +1,120 @@
+import React, { useRef, useState } from 'react'
+import { Upload, Trash2, Loader2 } from 'lucide-react'
+import { uploadObservations } from '../services/api'
+
+// Percentile ranks outside this central range mark outliers
+export const OUTLIER_RANGE = [2.5, 97.5]
+
+const TIME_TOLERANCE = 1e-9
+
+// Index of the first value in `sorted` not below `x` (or above it with `after`)
+const search = (sorted, x, after = false) => {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] < x || (after && sorted[mid] === x)) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// Percentile rank of each observation of analyte `name` among the simulated
+// samples of the same time and control flag, over all realizations (ties
+// count half). Observations of times the simulation didn't sample, or
+// without a value, get a null rank.
+export const rankObservations = (data, observations, name) => {
+  const simulated = new Map()
+  const group = (time, control) => {
+    const key = `${control}|${time}`
+    if (!simulated.has(key)) {
+      simulated.set(key, data
+        .filter(d => d.control === control && Math.abs(d.time - time) < TIME_TOLERANCE)
+        .map(d => d.concentrations[name])
+        .sort((a, b) => a - b))
+    }
+    return simulated.get(key)
+  }
+  return observations
+    .filter(o => o.concentrations[name] !== null && o.concentrations[name] !== undefined)
+    .map(o => {
+      const value = o.concentrations[name]
+      const sorted = group(o.time, o.control)
+      const rank = sorted.length
+        ? (search(sorted, value) + search(sorted, value, true)) / 2 / sorted.length * 100
+        : null
+      return { ...o, value, rank }
+    })
+}
+
+export const isOutlier = (rank) => rank !== null && (rank < OUTLIER_RANGE[0] || rank > OUTLIER_RANGE[1])
+
+// Uploads a CSV of observed samples (location, time, control and a column per
+// analyte), checked by the server against the simulation's `analytes`
+export const ObservationUpload = ({ analytes, observations, onChange }) => {
+  const fileRef = useRef(null)
+  const [units, setUnits] = useState('ppm')
+  const [uploading, setUploading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+    setUploading(true)
+    try {
+      const parsed = await uploadObservations(await file.text(), analytes, units)
+      onChange({ ...parsed, file: file.name })
+      setError(null)
+    } catch (err) {
+      setError({ message: `Could not read ${file.name}: ${err.message}`, fields: err.fields })
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  return (
+    <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium">Observed data</span>
+        <select value={units} onChange={(e) => setUnits(e.target.value)} className="input-field w-auto py-1 text-xs">
+          <option value="ppm">ppm</option>
+          <option value="kg/kg">kg/kg</option>
+        </select>
+        <button
+          type="button"
+          onClick={() => fileRef.current.click()}
+          disabled={uploading}
+          className="btn-secondary text-xs py-1 px-2 flex items-center gap-1"
+        >
+          {uploading ? <Loader2 className="w-3 h-3 animate-spin" /> : <Upload className="w-3 h-3" />}
+          Upload CSV
+        </button>
+        {observations && (
+          <button type="button" onClick={() => onChange(null)} className="btn-secondary text-xs py-1 px-2 flex items-center gap-1">
+            <Trash2 className="w-3 h-3" />
+            Remove
+          </button>
+        )}
+        <input ref={fileRef} type="file" accept=".csv,.txt" onChange={handleUpload} className="hidden" />
+      </div>
+      <p className="text-xs text-gray-500">
+        {observations
+          ? `${observations.observations.length} samples of ${observations.analytes.join(', ')} from ${observations.file}`
+          : `Columns: location, time (years), control (true/false) and any of ${analytes.join(', ')}.`}
+      </p>
+      {error && (
+        <div className="text-xs text-red-600">
+          <p>{error.message}</p>
+          {error.fields && (
+            <ul className="list-disc list-inside">
+              {Object.entries(error.fields).map(([field, message]) => (
+                <li key={field}>{field} {message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,240 @@
+import React, { useMemo, useState } from 'react'
+import FieldError from './FieldError'
+import FieldEditor, { FieldGrid, Outline, fieldRing, viewOf } from './FieldEditor'
+import { bounds, gridPoints, randomPointIn, seededRandom } from '../services/geometry'
+
+export const PLAN_TYPES = [
+  { id: 'random', label: 'Random', description: 'New random locations every round' },
+  { id: 'paired', label: 'Paired', description: 'The same random locations every round' },
+  { id: 'grid', label: 'Grid', description: 'The same locations on a grid over the field every round' }
+]
+
+const DEFAULT_GRID = { nx: 6, ny: 6, placement: 'centroid' }
+
+// Planned sample locations of each round, as [x, y, control] triples.
+// Random locations are drawn from a fixed seed, so they only show what a
+// plan looks like; the simulation draws its own.
+export const previewPlan = (plan = { type: 'random' }, field, numSamples, rounds) => {
+  const random = seededRandom(1)
+  const ring = fieldRing(field)
+  const zone = plan.control?.coordinates
+  const draw = (outline, n, control) =>
+    Array.from({ length: n }, () => randomPointIn(outline, random))
+      .filter(Boolean)
+      .map(([x, y]) => [x, y, control])
+  const controlSamples = zone ? plan.controlSamples ?? 0 : 0
+
+  if (plan.type === 'grid') {
+    const { nx, ny, placement } = plan.grid ?? DEFAULT_GRID
+    const points = gridPoints(ring, nx, ny, placement, random).map(([x, y]) => [x, y, false])
+    if (zone) {
+      // cells of the same size as the field's
+      const [f, z] = [bounds(ring), bounds(zone)]
+      const zx = Math.max(1, Math.round((nx * (z.maxX - z.minX)) / (f.maxX - f.minX)))
+      const zy = Math.max(1, Math.round((ny * (z.maxY - z.minY)) / (f.maxY - f.minY)))
+      points.push(...gridPoints(zone, zx, zy, placement, random).map(([x, y]) => [x, y, true]))
+    }
+    return rounds.map(() => points)
+  }
+
+  if (plan.type === 'paired') {
+    const points = [...draw(ring, numSamples, false), ...(zone ? draw(zone, controlSamples, true) : [])]
+    return rounds.map(() => points)
+  }
+
+  return rounds.map(() => [
+    ...draw(ring, numSamples, false),
+    ...(zone ? draw(zone, controlSamples, true) : [])
+  ])
+}
+
+const PlanPreview = ({ plan, field, numSamples, timePoints }) => {
+  const [round, setRound] = useState(0)
+  const rounds = useMemo(
+    () => previewPlan(plan, field, numSamples, timePoints),
+    [plan, field, numSamples, timePoints]
+  )
+  const ring = fieldRing(field)
+  const zone = plan?.control?.coordinates
+  const view = viewOf(ring, zone)
+  const pixel = view.size / 300
+  const points = rounds[Math.min(round, rounds.length - 1)] ?? []
+  const controls = points.filter(([, , control]) => control).length
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-600">Preview</p>
+        {plan?.type === 'random' && timePoints.length > 1 && (
+          <select
+            value={round}
+            onChange={(e) => setRound(parseInt(e.target.value))}
+            className="text-xs border border-gray-300 rounded px-1 py-0.5"
+          >
+            {timePoints.map((t, i) => (
+              <option key={i} value={i}>Round {i + 1} ({t} yr)</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <svg
+        viewBox={`${view.x} ${-view.y - view.size} ${view.size} ${view.size}`}
+        className="w-full aspect-square bg-white border border-gray-200 rounded-lg"
+      >
+        <FieldGrid view={view} />
+        <Outline ring={ring} fill="rgba(22, 163, 74, 0.1)" stroke="#16a34a" strokeWidth={2 * pixel} />
+        {zone && <Outline ring={zone} fill="rgba(107, 114, 128, 0.15)" stroke="#6b7280" strokeWidth={2 * pixel} />}
+        {points.map(([x, y, control], i) => (
+          <circle key={i} cx={x} cy={-y} r={3 * pixel} fill={control ? '#6b7280' : '#16a34a'} stroke="white" strokeWidth={pixel} />
+        ))}
+      </svg>
+      <p className="text-xs text-gray-500">
+        {points.length - controls} treatment and {controls} control samples per round, {timePoints.length} rounds
+        {plan?.type !== 'grid' && '. Random locations are drawn anew in each run.'}
+      </p>
+    </div>
+  )
+}
+
+const PlanDesigner = ({ params, onChange, errors, fieldFrame }) => {
+  const plan = params.plan ?? { type: 'random' }
+
+  const setPlan = (changes) => {
+    const next = { ...plan, ...changes }
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key])
+    onChange('plan', next)
+  }
+
+  const changeType = (type) => {
+    setPlan({ type, grid: type === 'grid' ? plan.grid ?? DEFAULT_GRID : undefined })
+  }
+
+  const handleTimePointsChange = (value) => {
+    const timePoints = value.split(',').map(t => parseFloat(t.trim())).filter(t => !isNaN(t))
+    onChange('timePoints', timePoints)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Plan Type</label>
+        <select
+          value={plan.type}
+          onChange={(e) => changeType(e.target.value)}
+          className="input-field py-1"
+        >
+          {PLAN_TYPES.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          {PLAN_TYPES.find(t => t.id === plan.type).description}
+        </p>
+        <FieldError errors={errors} field="plan.type" />
+      </div>
+
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">
+          Sampling Rounds (years, comma-separated)
+        </label>
+        <input
+          type="text"
+          value={params.timePoints.join(', ')}
+          onChange={(e) => handleTimePointsChange(e.target.value)}
+          className="input-field"
+          placeholder="0, 0.5, 1.0"
+        />
+        <p className="text-xs text-gray-500 mt-1">Negative times are baseline rounds before spreading</p>
+        <FieldError errors={errors} field="timePoints" />
+      </div>
+
+      {plan.type === 'grid' ? (
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Columns</label>
+            <input
+              type="number"
+              min="1"
+              value={plan.grid.nx}
+              onChange={(e) => setPlan({ grid: { ...plan.grid, nx: parseInt(e.target.value) } })}
+              className="input-field"
+            />
+            <FieldError errors={errors} field="plan.grid.nx" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Rows</label>
+            <input
+              type="number"
+              min="1"
+              value={plan.grid.ny}
+              onChange={(e) => setPlan({ grid: { ...plan.grid, ny: parseInt(e.target.value) } })}
+              className="input-field"
+            />
+            <FieldError errors={errors} field="plan.grid.ny" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Placement</label>
+            <select
+              value={plan.grid.placement}
+              onChange={(e) => setPlan({ grid: { ...plan.grid, placement: e.target.value } })}
+              className="input-field"
+            >
+              <option value="centroid">Centroid</option>
+              <option value="random">Random</option>
+            </select>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Treatment Samples / Round</label>
+            <input
+              type="number"
+              value={params.numSamples}
+              onChange={(e) => onChange('numSamples', parseInt(e.target.value))}
+              className="input-field"
+            />
+            <FieldError errors={errors} field="numSamples" />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Control Samples / Round</label>
+            <input
+              type="number"
+              min="0"
+              value={plan.controlSamples ?? 0}
+              onChange={(e) => setPlan({ controlSamples: parseInt(e.target.value) })}
+              disabled={!plan.control}
+              className="input-field disabled:bg-gray-100"
+            />
+            <FieldError errors={errors} field="plan.controlSamples" />
+          </div>
+        </div>
+      )}
+
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Control Zone</label>
+        <FieldEditor
+          field={plan.control}
+          onChange={(control) => setPlan({
+            control,
+            controlSamples: control ? plan.controlSamples ?? params.numSamples : undefined
+          })}
+          errors={errors}
+          errorField="plan.control"
+          zone="control zone"
+          backdrop={fieldRing(params.field)}
+          frame={fieldFrame}
+        />
+      </div>
+
+      <PlanPreview
+        plan={plan}
+        field={params.field}
+        numSamples={params.numSamples}
+        timePoints={params.timePoints}
+      />
+    </div>
+  )
+}
+
+export default PlanDesigner
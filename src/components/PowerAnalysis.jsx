@@ -0,0 +1,104 @@
+import React from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ErrorBar } from 'recharts'
+
+export const TESTS = [
+  { id: 'tTest', label: 't-test', color: '#2563eb' },
+  { id: 'mannWhitney', label: 'Mann-Whitney', color: '#16a34a' },
+  { id: 'diffInDiff', label: 'Diff-in-diff', color: '#9333ea' }
+]
+
+const percent = (x) => `${(x * 100).toFixed(0)}%`
+
+// Detection rates of each test by sampling round, with the distances to the
+// ends of their confidence intervals for error bars
+const chartData = (rounds) => rounds.map(({ time, ...tests }) => {
+  const row = { time }
+  for (const { id } of TESTS) {
+    const result = tests[id]
+    if (!result) continue
+    row[id] = result.rate
+    row[`${id}_ci`] = [result.rate - result.lower, result.upper - result.rate]
+  }
+  return row
+})
+
+// Detection power of treatment vs control comparisons in the results' `power`
+const PowerAnalysis = ({ power, analytes }) => {
+  if (!power) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        <p>Power analysis needs control samples: add a control zone with control samples to the sample plan.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-8">
+      <p className="text-sm text-gray-600">
+        Fraction of realizations in which each test finds a difference between treatment and control samples at
+        α = {power.alpha}, with 95% confidence intervals. The difference-in-differences compares each round's change
+        since the baseline round at {power.baseline} yr.
+      </p>
+
+      {analytes.filter(name => power.analytes[name]).map(name => {
+        const rounds = power.analytes[name]
+        return (
+          <div key={name} className="space-y-3">
+            <h3 className="text-lg font-medium">{name} Detection Power</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={chartData(rounds)}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis domain={[0, 1]} tickFormatter={percent} />
+                <Tooltip
+                  formatter={(value, label) => [percent(value), label]}
+                  labelFormatter={(value) => `Time: ${value} years`}
+                />
+                <Legend />
+                {TESTS.map(({ id, label, color }) => (
+                  <Line key={id} type="monotone" dataKey={id} name={label} stroke={color} strokeWidth={2} connectNulls>
+                    <ErrorBar dataKey={`${id}_ci`} width={4} stroke={color} />
+                  </Line>
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1">Time (yr)</th>
+                  <th className="py-1">Mean Difference (ppm)</th>
+                  {TESTS.map(({ id, label }) => (
+                    <th key={id} className="py-1">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rounds.map(round => (
+                  <tr key={round.time} className="border-b border-gray-100">
+                    <td className="py-1">{round.time}</td>
+                    <td className="py-1">
+                      {round.difference === null ? '—' : (round.difference * 1e6).toFixed(2)}
+                    </td>
+                    {TESTS.map(({ id }) => (
+                      <td key={id} className="py-1">
+                        {round[id]
+                          ? `${percent(round[id].rate)} (${percent(round[id].lower)}–${percent(round[id].upper)})`
+                          : '—'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default PowerAnalysis
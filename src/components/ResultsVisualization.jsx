@@ -1,7 +1,89 @@
 import React, { useState } from 'react'
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter } from 'recharts'
+import { ComposedChart, Line, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Scatter, ReferenceLine } from 'recharts'
+import { describeLeaching } from './LeachingModelEditor'
+import { describeMeasurement } from './AnalyteEditor'
+import { describeMixing } from './MixingEditor'
+import { describeDistribution } from './DistributionInput'
+import { DEFAULT_FIELD_RADIUS } from './FieldEditor'
+import { PLAN_TYPES } from './PlanDesigner'
+import { DEFAULT_CORING, describeJitter, describeStencil } from './CoringEditor'
+import { polygonArea } from '../services/geometry'
+import SampleMap from './SampleMap'
+import PowerAnalysis from './PowerAnalysis'
+import CarbonRemoval from './CarbonRemoval'
+import VarianceDecomposition from './VarianceDecomposition'
+import { describeCovariance } from './SpatialEditor'
+import { ObservationUpload, rankObservations, isOutlier, OUTLIER_RANGE } from './ObservedData'
 
-const ResultsVisualization = ({ results }) => {
+// Line colors of each analyte, in spec order: [mean, min/max]
+export const COLORS = [
+  ['#2563eb', '#93c5fd'],
+  ['#dc2626', '#fca5a5'],
+  ['#16a34a', '#86efac'],
+  ['#9333ea', '#d8b4fe'],
+  ['#ea580c', '#fdba74'],
+  ['#0891b2', '#67e8f9'],
+  ['#ca8a04', '#fde047'],
+  ['#db2777', '#f9a8d4'],
+  ['#4f46e5', '#a5b4fc'],
+  ['#57534e', '#d6d3d1']
+]
+
+// Percentile of sorted values, interpolating between neighbours
+const percentile = (sorted, p) => {
+  const h = (sorted.length - 1) * p
+  const i = Math.floor(h)
+  return sorted[i] + (h - i) * ((sorted[i + 1] ?? sorted[i]) - sorted[i])
+}
+
+// Observations shown in the table below the charts, outliers first
+const MAX_LISTED_OBSERVATIONS = 100
+
+// Percentile ranks of the observations of one analyte, outliers first
+const ObservationRanks = ({ name, ranked }) => {
+  const outliers = ranked.filter(o => isOutlier(o.rank))
+  const unmatched = ranked.filter(o => o.rank === null)
+  const listed = [...outliers, ...ranked.filter(o => !isOutlier(o.rank))].slice(0, MAX_LISTED_OBSERVATIONS)
+
+  return (
+    <div className="mt-2 space-y-2">
+      <p className="text-sm text-gray-600">
+        {outliers.length} of {ranked.length} observed {name} values fall outside the {OUTLIER_RANGE[0]}th to{' '}
+        {OUTLIER_RANGE[1]}th percentiles of the simulated samples of the same time and kind (treatment or control).
+        {unmatched.length > 0 && ` ${unmatched.length} were taken at times the simulation doesn't sample.`}
+      </p>
+      <div className="max-h-48 overflow-y-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1">Location</th>
+              <th className="py-1">Time (yr)</th>
+              <th className="py-1">Kind</th>
+              <th className="py-1">{name} (ppm)</th>
+              <th className="py-1">Percentile</th>
+            </tr>
+          </thead>
+          <tbody>
+            {listed.map((o, i) => (
+              <tr key={i} className={`border-b border-gray-100 ${isOutlier(o.rank) ? 'text-red-600 font-medium' : ''}`}>
+                <td className="py-0.5">{o.location}</td>
+                <td className="py-0.5">{o.time}</td>
+                <td className="py-0.5">{o.control ? 'Control' : 'Treatment'}</td>
+                <td className="py-0.5">{(o.value * 1e6).toFixed(2)}</td>
+                <td className="py-0.5">{o.rank === null ? '—' : o.rank.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {ranked.length > listed.length && (
+        <p className="text-xs text-gray-500">Showing {listed.length} of {ranked.length} observations.</p>
+      )}
+    </div>
+  )
+}
+
+const ResultsVisualization = ({ results, observations, onObservationsChange }) => {
   const [activeTab, setActiveTab] = useState('concentrations')
 
   if (!results || !results.data) {
@@ -12,35 +94,49 @@ const ResultsVisualization = ({ results }) => {
     )
   }
 
-  const { data, summary, parameters } = results
+  const { data, summary, parameters, manifest } = results
+  const analytes = results.analytes ?? Object.keys(summary ?? {})
 
-  // Process data for visualization
+  // Process data for visualization, leaving out control samples
   const processConcentrationData = () => {
-    const timePoints = [...new Set(data.map(d => d.time))].sort((a, b) => a - b)
+    const treatment = data.filter(d => !d.control)
+    const timePoints = [...new Set(treatment.map(d => d.time))].sort((a, b) => a - b)
     
     return timePoints.map(time => {
-      const timeData = data.filter(d => d.time === time)
-      const caValues = timeData.map(d => d.Ca * 1e6) // Convert to ppm
-      const mgValues = timeData.map(d => d.Mg * 1e6) // Convert to ppm
-      
-      return {
-        time,
-        Ca_mean: caValues.reduce((a, b) => a + b, 0) / caValues.length,
-        Ca_std: Math.sqrt(caValues.reduce((a, b) => a + (b - caValues.reduce((x, y) => x + y, 0) / caValues.length) ** 2, 0) / caValues.length),
-        Mg_mean: mgValues.reduce((a, b) => a + b, 0) / mgValues.length,
-        Mg_std: Math.sqrt(mgValues.reduce((a, b) => a + (b - mgValues.reduce((x, y) => x + y, 0) / mgValues.length) ** 2, 0) / mgValues.length),
-        Ca_min: Math.min(...caValues),
-        Ca_max: Math.max(...caValues),
-        Mg_min: Math.min(...mgValues),
-        Mg_max: Math.max(...mgValues)
+      const timeData = treatment.filter(d => d.time === time)
+      const row = { time }
+      for (const name of analytes) {
+        const values = timeData.map(d => d.concentrations[name] * 1e6) // Convert to ppm
+        const mean = values.reduce((a, b) => a + b, 0) / values.length
+        row[`${name}_mean`] = mean
+        row[`${name}_std`] = Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length)
+        row[`${name}_min`] = Math.min(...values)
+        row[`${name}_max`] = Math.max(...values)
+        const sorted = [...values].sort((a, b) => a - b)
+        row[`${name}_band`] = [percentile(sorted, 0.05), percentile(sorted, 0.95)]
+        // censored samples count at the detection limit in the statistics
+        row[`${name}_censored`] = timeData.filter(d => d.censored?.[name]).length / timeData.length
       }
+      return row
     })
   }
 
   const concentrationData = processConcentrationData()
 
+  const detectionLimit = (name) => parameters?.analytes?.find(a => a.name === name)?.measurement.detectionLimit ?? 0
+
+  // Observed samples with their percentile ranks in the simulated ensemble
+  const rankedObservations = Object.fromEntries(analytes.map(name => [
+    name,
+    observations?.analytes.includes(name) ? rankObservations(data, observations.observations, name) : []
+  ]))
+
   const tabs = [
     { id: 'concentrations', label: 'Concentrations Over Time' },
+    { id: 'map', label: 'Sample Map' },
+    { id: 'power', label: 'Power' },
+    { id: 'cdr', label: 'CO₂ Removal' },
+    { id: 'variance', label: 'Variance Sources' },
     { id: 'summary', label: 'Summary Statistics' },
     { id: 'parameters', label: 'Simulation Parameters' }
   ]
@@ -68,143 +164,156 @@ const ResultsVisualization = ({ results }) => {
       <div className="min-h-96">
         {activeTab === 'concentrations' && (
           <div className="space-y-6">
-            <div>
-              <h3 className="text-lg font-medium mb-4">Calcium Concentrations</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={concentrationData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis 
-                    dataKey="time" 
-                    label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis 
-                    label={{ value: 'Concentration (ppm)', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [value.toFixed(2), name]}
-                    labelFormatter={(value) => `Time: ${value} years`}
-                  />
-                  <Legend />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Ca_mean" 
-                    stroke="#2563eb" 
-                    strokeWidth={2}
-                    name="Mean Ca"
-                    dot={{ fill: '#2563eb', strokeWidth: 2, r: 4 }}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Ca_min" 
-                    stroke="#93c5fd" 
-                    strokeDasharray="5 5"
-                    name="Min Ca"
-                    dot={false}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Ca_max" 
-                    stroke="#93c5fd" 
-                    strokeDasharray="5 5"
-                    name="Max Ca"
-                    dot={false}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
-
-            <div>
-              <h3 className="text-lg font-medium mb-4">Magnesium Concentrations</h3>
-              <ResponsiveContainer width="100%" height={300}>
-                <LineChart data={concentrationData}>
-                  <CartesianGrid strokeDasharray="3 3" />
-                  <XAxis 
-                    dataKey="time" 
-                    label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
-                  />
-                  <YAxis 
-                    label={{ value: 'Concentration (ppm)', angle: -90, position: 'insideLeft' }}
-                  />
-                  <Tooltip 
-                    formatter={(value, name) => [value.toFixed(2), name]}
-                    labelFormatter={(value) => `Time: ${value} years`}
-                  />
-                  <Legend />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Mg_mean" 
-                    stroke="#dc2626" 
-                    strokeWidth={2}
-                    name="Mean Mg"
-                    dot={{ fill: '#dc2626', strokeWidth: 2, r: 4 }}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Mg_min" 
-                    stroke="#fca5a5" 
-                    strokeDasharray="5 5"
-                    name="Min Mg"
-                    dot={false}
-                  />
-                  <Line 
-                    type="monotone" 
-                    dataKey="Mg_max" 
-                    stroke="#fca5a5" 
-                    strokeDasharray="5 5"
-                    name="Max Mg"
-                    dot={false}
-                  />
-                </LineChart>
-              </ResponsiveContainer>
-            </div>
+            {onObservationsChange && (
+              <ObservationUpload analytes={analytes} observations={observations} onChange={onObservationsChange} />
+            )}
+            {analytes.map((name, i) => {
+              const [color, light] = COLORS[i % COLORS.length]
+              const ranked = rankedObservations[name]
+              const points = (control, outliers) => ranked
+                .filter(o => o.control === control && isOutlier(o.rank) === outliers)
+                .map(o => ({ time: o.time, observed: o.value * 1e6 }))
+              const limit = detectionLimit(name)
+              const censored = concentrationData.filter(row => row[`${name}_censored`] > 0)
+              return (
+                <div key={name}>
+                  <h3 className="text-lg font-medium mb-4">{name} Concentrations</h3>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <ComposedChart data={concentrationData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis 
+                        dataKey="time" 
+                        type="number"
+                        domain={['dataMin', 'dataMax']}
+                        label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
+                      />
+                      <YAxis 
+                        label={{ value: 'Concentration (ppm)', angle: -90, position: 'insideLeft' }}
+                      />
+                      <Tooltip 
+                        formatter={(value, name) => [
+                          Array.isArray(value) ? `${value[0].toFixed(2)} to ${value[1].toFixed(2)}` : value.toFixed(2),
+                          name
+                        ]}
+                        labelFormatter={(value) => `Time: ${value} years`}
+                      />
+                      <Legend />
+                      {limit > 0 && (
+                        <ReferenceLine
+                          y={limit * 1e6}
+                          stroke="#6b7280"
+                          strokeDasharray="3 3"
+                          label={{ value: 'Detection limit', position: 'insideBottomRight', fontSize: 11 }}
+                        />
+                      )}
+                      <Area
+                        dataKey={`${name}_band`}
+                        name={`${name} 5–95%`}
+                        stroke="none"
+                        fill={light}
+                        fillOpacity={0.3}
+                      />
+                      <Line 
+                        type="monotone" 
+                        dataKey={`${name}_mean`}
+                        stroke={color}
+                        strokeWidth={2}
+                        name={`Mean ${name}`}
+                        dot={{ fill: color, strokeWidth: 2, r: 4 }}
+                      />
+                      <Line 
+                        type="monotone" 
+                        dataKey={`${name}_min`}
+                        stroke={light}
+                        strokeDasharray="5 5"
+                        name={`Min ${name}`}
+                        dot={false}
+                      />
+                      <Line 
+                        type="monotone" 
+                        dataKey={`${name}_max`}
+                        stroke={light}
+                        strokeDasharray="5 5"
+                        name={`Max ${name}`}
+                        dot={false}
+                      />
+                      {ranked.length > 0 && (
+                        <Scatter data={points(false, false)} dataKey="observed" name="Observed" fill="#111827" />
+                      )}
+                      {ranked.some(o => o.control) && (
+                        <Scatter data={points(true, false)} dataKey="observed" name="Observed control" fill="#9ca3af" />
+                      )}
+                      {ranked.some(o => isOutlier(o.rank)) && (
+                        <Scatter
+                          data={[...points(false, true), ...points(true, true)]}
+                          dataKey="observed"
+                          name="Observed outlier"
+                          fill="#dc2626"
+                          shape="diamond"
+                        />
+                      )}
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                  {censored.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Censored below the detection limit, and counted at it:{' '}
+                      {censored.map(row => `${(row[`${name}_censored`] * 100).toFixed(1)}% at ${row.time} years`).join(', ')}
+                    </p>
+                  )}
+                  {ranked.length > 0 && <ObservationRanks name={name} ranked={ranked} />}
+                </div>
+              )
+            })}
           </div>
         )}
 
+        {activeTab === 'map' && (
+          <SampleMap data={data} analytes={analytes} parameters={parameters} />
+        )}
+
+        {activeTab === 'power' && (
+          <PowerAnalysis power={results.power} analytes={analytes} />
+        )}
+
+        {activeTab === 'cdr' && (
+          <CarbonRemoval cdr={results.cdr} />
+        )}
+
+        {activeTab === 'variance' && (
+          <VarianceDecomposition variance={results.variance} analytes={analytes} />
+        )}
+
         {activeTab === 'summary' && summary && (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Calcium Statistics</h3>
-              <div className="bg-gray-50 p-4 rounded-lg space-y-2">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Mean:</span>
-                  <span className="font-medium">{(summary.Ca.mean * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Std Dev:</span>
-                  <span className="font-medium">{(summary.Ca.std * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Min:</span>
-                  <span className="font-medium">{(summary.Ca.min * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Max:</span>
-                  <span className="font-medium">{(summary.Ca.max * 1e6).toFixed(2)} ppm</span>
-                </div>
-              </div>
-            </div>
-
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Magnesium Statistics</h3>
-              <div className="bg-gray-50 p-4 rounded-lg space-y-2">
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Mean:</span>
-                  <span className="font-medium">{(summary.Mg.mean * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Std Dev:</span>
-                  <span className="font-medium">{(summary.Mg.std * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Min:</span>
-                  <span className="font-medium">{(summary.Mg.min * 1e6).toFixed(2)} ppm</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Max:</span>
-                  <span className="font-medium">{(summary.Mg.max * 1e6).toFixed(2)} ppm</span>
+            {analytes.filter(name => summary[name]).map(name => (
+              <div key={name} className="space-y-4">
+                <h3 className="text-lg font-medium">{name} Statistics</h3>
+                <div className="bg-gray-50 p-4 rounded-lg space-y-2">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Mean:</span>
+                    <span className="font-medium">{(summary[name].mean * 1e6).toFixed(2)} ppm</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Std Dev:</span>
+                    <span className="font-medium">{(summary[name].std * 1e6).toFixed(2)} ppm</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Min:</span>
+                    <span className="font-medium">{(summary[name].min * 1e6).toFixed(2)} ppm</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Max:</span>
+                    <span className="font-medium">{(summary[name].max * 1e6).toFixed(2)} ppm</span>
+                  </div>
+                  {summary[name].censored > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Below Detection Limit:</span>
+                      <span className="font-medium">{(summary[name].censored * 100).toFixed(1)}% (counted at the limit)</span>
+                    </div>
+                  )}
                 </div>
               </div>
-            </div>
+            ))}
           </div>
         )}
 
@@ -217,41 +326,119 @@ const ResultsVisualization = ({ results }) => {
                   <span className="text-gray-600">Application Rate:</span>
                   <span className="font-medium">{parameters.applicationRate} kg/m²</span>
                 </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Ca Concentration:</span>
-                  <span className="font-medium">{parameters.feedstockCa}</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Mg Concentration:</span>
-                  <span className="font-medium">{parameters.feedstockMg}</span>
-                </div>
+                {parameters.spatial?.applicationRate && (
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Spatial:</span>
+                    <span className="font-medium text-right">{describeCovariance(parameters.spatial.applicationRate)}</span>
+                  </div>
+                )}
               </div>
             </div>
 
             <div className="space-y-4">
-              <h3 className="text-lg font-medium">Soil</h3>
+              <h3 className="text-lg font-medium">Mixing</h3>
               <div className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm">
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Ca Concentration:</span>
-                  <span className="font-medium">{parameters.soilCa} kg/kg</span>
+                  <span className="text-gray-600">Profile:</span>
+                  <span className="font-medium text-right">{describeMixing(parameters.mixing)}</span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Mg Concentration:</span>
-                  <span className="font-medium">{parameters.soilMg} kg/kg</span>
-                </div>
-                <div className="flex justify-between">
-                  <span className="text-gray-600">Sampling Depth:</span>
-                  <span className="font-medium">{parameters.samplingDepth} m</span>
+                  <span className="text-gray-600">Sample Depth:</span>
+                  <span className="font-medium">
+                    {parameters.mixing?.depth
+                      ? describeDistribution(parameters.mixing.depth, 'm')
+                      : `${parameters.samplingDepth} m ±20%`}
+                  </span>
                 </div>
               </div>
             </div>
 
+            {parameters.analytes.map(analyte => (
+              <div key={analyte.name} className="space-y-4">
+                <h3 className="text-lg font-medium">{analyte.name}</h3>
+                <div className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Feedstock:</span>
+                    <span className="font-medium">{analyte.feedstock} kg/kg</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Soil:</span>
+                    <span className="font-medium">{analyte.soil} kg/kg</span>
+                  </div>
+                  {parameters.spatial?.soil?.[analyte.name] && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Soil Spatial:</span>
+                      <span className="font-medium text-right">{describeCovariance(parameters.spatial.soil[analyte.name])}</span>
+                    </div>
+                  )}
+                  {parameters.spatial?.cosimulation?.analytes.includes(analyte.name) && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Soil Spatial:</span>
+                      <span className="font-medium text-right">
+                        Cosimulated with {parameters.spatial.cosimulation.analytes.find(n => n !== analyte.name)},
+                        ρ = {parameters.spatial.cosimulation.correlation};{' '}
+                        {describeCovariance(parameters.spatial.cosimulation.covariance)}
+                      </span>
+                    </div>
+                  )}
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Leaching:</span>
+                    <span className="font-medium">{describeLeaching(analyte.leaching)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Measurement Error:</span>
+                    <span className="font-medium">{describeMeasurement(analyte.measurement)}</span>
+                  </div>
+                </div>
+              </div>
+            ))}
+
             <div className="space-y-4">
               <h3 className="text-lg font-medium">Simulation</h3>
               <div className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Field:</span>
+                  <span className="font-medium">
+                    {parameters.field
+                      ? `${(polygonArea(parameters.field.coordinates) / 1e4).toFixed(2)} ha polygon`
+                      : `${DEFAULT_FIELD_RADIUS} m radius circle`}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Sampling Depth:</span>
+                  <span className="font-medium">{parameters.samplingDepth} m</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Sample Plan:</span>
+                  <span className="font-medium">
+                    {PLAN_TYPES.find(t => t.id === (parameters.plan?.type ?? 'random')).label}
+                    {parameters.plan?.control ? ' with control zone' : ''}
+                  </span>
+                </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Samples:</span>
-                  <span className="font-medium">{parameters.numSamples}</span>
+                  <span className="font-medium">
+                    {parameters.plan?.type === 'grid'
+                      ? `${parameters.plan.grid.nx} × ${parameters.plan.grid.ny} grid`
+                      : parameters.numSamples}
+                    {parameters.plan?.controlSamples ? ` + ${parameters.plan.controlSamples} control` : ''}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Cores:</span>
+                  <span className="font-medium">{describeStencil(parameters.coring?.stencil)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Sampler Jitter:</span>
+                  <span className="font-medium">
+                    {describeJitter(parameters.coring?.samplerJitter ?? DEFAULT_CORING.samplerJitter)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Core Jitter:</span>
+                  <span className="font-medium">
+                    {describeJitter(parameters.coring?.coreJitter ?? DEFAULT_CORING.coreJitter)}
+                  </span>
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">Realizations:</span>
@@ -263,6 +450,30 @@ const ResultsVisualization = ({ results }) => {
                 </div>
               </div>
             </div>
+
+            {manifest && (
+              <div className="space-y-4">
+                <h3 className="text-lg font-medium">Manifest</h3>
+                <div className="bg-gray-50 p-4 rounded-lg space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Seed:</span>
+                    <span className="font-medium">{manifest.seed}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Monty:</span>
+                    <span className="font-medium">{manifest.montyVersion}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Julia:</span>
+                    <span className="font-medium">{manifest.juliaVersion}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Run At:</span>
+                    <span className="font-medium">{new Date(manifest.timestamp).toLocaleString()}</span>
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react'
+import { History, Pencil, Trash2, Check, X, Loader2, GitCompare } from 'lucide-react'
+import { listRuns, getRun, updateRun, deleteRun } from '../services/api'
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// Name of a saved run, or when it finished if it has none
+export const runLabel = (run) => run.name || formatDate(run.finishedAt)
+
+const MAX_COMPARED = 6
+
+const describeSpec = (kind, spec) => {
+  if (kind === 'sensitivity') return ['Core sensitivity', `${spec.samples} samples`].join(' · ')
+  if (kind === 'calibration') {
+    return ['Calibration', spec.priors.map(p => p.analyte ? `${p.analyte} ${p.parameter}` : p.parameter).join(', ')].join(' · ')
+  }
+  return [
+    spec.analytes.map(a => a.name).join(', '),
+    `${spec.numSamples} samples`,
+    `${spec.applicationRate} kg/m²`
+  ].join(' · ')
+}
+
+const parseTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean)
+
+// Name and tag editor of one saved run
+const RunEditor = ({ run, onSave, onCancel }) => {
+  const [name, setName] = useState(run.name ?? '')
+  const [tags, setTags] = useState(run.tags.join(', '))
+
+  return (
+    <div className="space-y-2">
+      <input
+        type="text"
+        value={name}
+        placeholder={formatDate(run.finishedAt)}
+        onChange={(e) => setName(e.target.value)}
+        className="input-field py-1 text-sm"
+      />
+      <input
+        type="text"
+        value={tags}
+        placeholder="Tags, separated by commas"
+        onChange={(e) => setTags(e.target.value)}
+        className="input-field py-1 text-sm"
+      />
+      <div className="flex justify-end gap-1">
+        <button onClick={onCancel} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+          <X className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onSave({ name: name.trim() || null, tags: parseTags(tags) })}
+          className="p-1 text-primary-600 hover:text-primary-700"
+          title="Save"
+        >
+          <Check className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Saved runs of every kind, newest first, which can be reopened, renamed,
+// tagged or deleted; simulations can also be ticked to compare. The list is
+// reloaded whenever `refreshKey` changes, e.g. after a run finishes.
+const RunHistory = ({ activeId, refreshKey, onOpen, onCompare, onError }) => {
+  const [runs, setRuns] = useState([])
+  // runs ticked for comparison, the first being the reference
+  const [selected, setSelected] = useState([])
+  const [tag, setTag] = useState(null)
+  const [editing, setEditing] = useState(null)
+  const [opening, setOpening] = useState(null)
+
+  useEffect(() => {
+    listRuns()
+      .then(setRuns)
+      .catch(err => onError?.(err.message))
+  }, [refreshKey])
+
+  const tags = [...new Set(runs.flatMap(run => run.tags))].sort()
+  const shown = tag ? runs.filter(run => run.tags.includes(tag)) : runs
+  const simulations = runs.filter(run => run.kind === 'simulation')
+
+  const handleOpen = async (run) => {
+    setOpening(run.id)
+    try {
+      onOpen(await getRun(run.id))
+    } catch (err) {
+      onError?.(err.message)
+    } finally {
+      setOpening(null)
+    }
+  }
+
+  const handleSave = async (run, changes) => {
+    try {
+      const updated = await updateRun(run.id, changes)
+      setRuns(runs.map(r => (r.id === run.id ? updated : r)))
+      setEditing(null)
+    } catch (err) {
+      onError?.(err.message)
+    }
+  }
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`Delete ${run.name || 'this run'} from the history?`)) return
+    try {
+      await deleteRun(run.id)
+      setRuns(runs.filter(r => r.id !== run.id))
+      setSelected(selected.filter(id => id !== run.id))
+    } catch (err) {
+      onError?.(err.message)
+    }
+  }
+
+  const toggleSelected = (run) => {
+    setSelected(selected.includes(run.id) ? selected.filter(id => id !== run.id) : [...selected, run.id])
+  }
+
+  return (
+    <div className="card">
+      <div className="flex items-center gap-2 mb-4">
+        <History className="w-5 h-5 text-primary-600" />
+        <h2 className="text-xl font-semibold">Run History</h2>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {[null, ...tags].map(t => (
+            <button
+              key={t ?? ''}
+              onClick={() => setTag(t)}
+              className={`px-2 py-0.5 text-xs rounded-full border ${
+                tag === t ? 'bg-primary-600 text-white border-primary-600' : 'text-gray-600 border-gray-300'
+              }`}
+            >
+              {t ?? 'All'}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-500">Finished simulations, sensitivity analyses and calibrations are saved here.</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {shown.map(run => (
+            <li
+              key={run.id}
+              className={`p-2 rounded-lg border ${run.id === activeId ? 'border-primary-500 bg-primary-50' : 'border-gray-200'}`}
+            >
+              {editing === run.id ? (
+                <RunEditor run={run} onSave={(changes) => handleSave(run, changes)} onCancel={() => setEditing(null)} />
+              ) : (
+                <div className="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(run.id)}
+                    disabled={run.kind !== 'simulation' || (!selected.includes(run.id) && selected.length >= MAX_COMPARED)}
+                    onChange={() => toggleSelected(run)}
+                    className="mt-1"
+                    title={run.kind === 'simulation' ? 'Compare' : 'Only simulations can be compared'}
+                  />
+                  <button onClick={() => handleOpen(run)} className="flex-1 text-left min-w-0">
+                    <p className="text-sm font-medium truncate flex items-center gap-1">
+                      {opening === run.id && <Loader2 className="w-3 h-3 animate-spin" />}
+                      {runLabel(run)}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">{describeSpec(run.kind, run.spec)}</p>
+                    {run.tags.length > 0 && (
+                      <p className="text-xs text-primary-600 truncate">{run.tags.join(', ')}</p>
+                    )}
+                  </button>
+                  <button onClick={() => setEditing(run.id)} className="p-1 text-gray-400 hover:text-gray-600" title="Rename or tag">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDelete(run)} className="p-1 text-gray-400 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {simulations.length > 1 && (
+        <div className="mt-3 space-y-1">
+          <button
+            onClick={() => onCompare(selected)}
+            disabled={selected.length < 2}
+            className="btn-secondary w-full flex items-center justify-center gap-2"
+          >
+            <GitCompare className="w-4 h-4" />
+            Compare {selected.length >= 2 ? `${selected.length} Runs` : 'Runs'}
+          </button>
+          <p className="text-xs text-gray-500">
+            Tick two to {MAX_COMPARED} runs to compare; the first ticked is the reference.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RunHistory
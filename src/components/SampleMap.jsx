@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from 'react'
+import { FieldGrid, Outline, fieldRing, viewOf } from './FieldEditor'
+
+// Stops of the color scale from low to high values (viridis)
+const SCALE = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+
+const hex = (color) => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16))
+
+// Color of a value between 0 and 1 on the scale
+export const scaleColor = (t) => {
+  const x = Math.min(Math.max(isFinite(t) ? t : 0.5, 0), 1) * (SCALE.length - 1)
+  const i = Math.min(Math.floor(x), SCALE.length - 2)
+  const [a, b] = [hex(SCALE[i]), hex(SCALE[i + 1])]
+  const rgb = a.map((c, k) => Math.round(c + (b[k] - c) * (x - i)))
+  return `rgb(${rgb.join(', ')})`
+}
+
+// Map of the samples of one realization and sampling round, colored by the
+// concentration of an analyte, over the field outline and control zone. The
+// color scale spans all realizations, so that they can be compared.
+const SampleMap = ({ data, analytes, parameters }) => {
+  const [analyte, setAnalyte] = useState(analytes[0])
+  const [realization, setRealization] = useState(1)
+  const [timeIndex, setTimeIndex] = useState(0)
+  const [showCores, setShowCores] = useState(true)
+
+  const located = useMemo(() => data.filter(d => d.x !== undefined), [data])
+  const realizations = useMemo(() => located.reduce((n, d) => Math.max(n, d.realization), 1), [located])
+  const times = useMemo(() => [...new Set(located.map(d => d.time))].sort((a, b) => a - b), [located])
+  const [min, max] = useMemo(() => {
+    const values = located.map(d => d.concentrations[analyte] * 1e6)
+    return values.reduce(([lo, hi], v) => [Math.min(lo, v), Math.max(hi, v)], [Infinity, -Infinity])
+  }, [located, analyte])
+
+  if (located.length === 0) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        <p>These results have no sample coordinates</p>
+      </div>
+    )
+  }
+
+  const time = times[Math.min(timeIndex, times.length - 1)]
+  const samples = located.filter(d => d.realization === realization && d.time === time)
+  const ring = fieldRing(parameters?.field)
+  const zone = parameters?.plan?.control?.coordinates
+  const view = viewOf(ring, zone, samples.flatMap(d => d.cores ?? [[d.x, d.y]]))
+  const pixel = view.size / 300
+  const color = (value) => scaleColor((value - min) / (max - min))
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Analyte</label>
+          <select value={analyte} onChange={(e) => setAnalyte(e.target.value)} className="input-field py-1">
+            {analytes.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Sampling Round</label>
+          <select value={timeIndex} onChange={(e) => setTimeIndex(parseInt(e.target.value))} className="input-field py-1">
+            {times.map((t, i) => (
+              <option key={i} value={i}>{t} yr</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-xs text-gray-600 mb-1">
+            Realization {realization} of {realizations}
+          </label>
+          <input
+            type="range"
+            min="1"
+            max={realizations}
+            value={realization}
+            onChange={(e) => setRealization(parseInt(e.target.value))}
+            className="w-full"
+          />
+        </div>
+      </div>
+
+      <svg
+        viewBox={`${view.x} ${-view.y - view.size} ${view.size} ${view.size}`}
+        className="w-full max-w-xl mx-auto block aspect-square bg-white border border-gray-200 rounded-lg"
+      >
+        <FieldGrid view={view} />
+        <Outline ring={ring} fill="rgba(22, 163, 74, 0.08)" stroke="#16a34a" strokeWidth={2 * pixel} />
+        {zone && <Outline ring={zone} fill="rgba(107, 114, 128, 0.12)" stroke="#6b7280" strokeWidth={2 * pixel} />}
+        {showCores && samples.flatMap((d, i) => (d.cores ?? []).map(([x, y], j) => (
+          <circle key={`${i}-${j}`} cx={x} cy={-y} r={1.2 * pixel} fill="#9ca3af" />
+        )))}
+        {samples.map(d => {
+          const value = d.concentrations[analyte] * 1e6
+          return (
+            <circle
+              key={d.sample}
+              cx={d.x}
+              cy={-d.y}
+              r={4 * pixel}
+              fill={color(value)}
+              stroke={d.control ? '#111827' : 'white'}
+              strokeWidth={pixel}
+            >
+              <title>
+                {`Sample ${d.sample}${d.control ? ' (control)' : ''}: ${value.toFixed(2)} ppm at (${d.x.toFixed(1)}, ${d.y.toFixed(1)}) m`}
+              </title>
+            </circle>
+          )
+        })}
+      </svg>
+
+      <div className="flex flex-wrap items-center justify-center gap-4 text-xs text-gray-600">
+        <div className="flex items-center gap-2">
+          <span>{min.toFixed(1)}</span>
+          <div
+            className="w-40 h-3 rounded"
+            style={{ background: `linear-gradient(to right, ${SCALE.join(', ')})` }}
+          />
+          <span>{max.toFixed(1)} ppm {analyte}</span>
+        </div>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={showCores} onChange={(e) => setShowCores(e.target.checked)} />
+          Show cores
+        </label>
+        {zone && <span>Dark outline: control samples</span>}
+      </div>
+    </div>
+  )
+}
+
+export default SampleMap
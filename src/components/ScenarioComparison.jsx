@@ -0,0 +1,214 @@
+import React, { useState } from 'react'
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { X } from 'lucide-react'
+import { COLORS } from './ResultsVisualization'
+import { runLabel } from './RunHistory'
+
+const STATISTICS = [
+  { id: 'mean', label: 'Mean' },
+  { id: 'std', label: 'Std Dev' },
+  { id: 'min', label: 'Min' },
+  { id: 'max', label: 'Max' }
+]
+
+const ppm = (x, digits = 2) => (x * 1e6).toFixed(digits)
+
+const formatParameter = (value) => {
+  if (value === null) return '—'
+  if (Array.isArray(value)) return value.join(', ')
+  return String(value)
+}
+
+// Treatment means of every scenario by time, in ppm, with their 90% bands
+const chartData = (series) => {
+  const rows = new Map()
+  for (const { id, points } of series) {
+    for (const { time, mean, lower, upper } of points) {
+      const row = rows.get(time) ?? { time }
+      rows.set(time, row)
+      row[id] = mean * 1e6
+      row[`${id}_band`] = [lower * 1e6, upper * 1e6]
+    }
+  }
+  return [...rows.values()].sort((a, b) => a.time - b.time)
+}
+
+// Side-by-side comparison of saved runs from the server's /api/runs/compare:
+// treatment means over time on shared axes, the spec parameters that differ,
+// and each summary statistic's difference from the first scenario at a time,
+// with its bootstrap interval over realizations
+const ScenarioComparison = ({ comparison, onClose }) => {
+  const { scenarios, analytes, parameters, series, statistics, bootstrapSamples } = comparison
+  const [analyte, setAnalyte] = useState(analytes[0])
+  const [time, setTime] = useState(null)
+  const [reference, ...others] = scenarios
+  const color = (i) => COLORS[i % COLORS.length][0]
+  // statistics at the chosen time, by default the last one
+  const cells = statistics[analyte] ?? []
+  const cell = cells.find(c => c.time === time) ?? cells[cells.length - 1]
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-sm text-gray-600">
+          Comparing {scenarios.length} saved runs against <span className="font-medium">{runLabel(reference)}</span>.
+        </p>
+        <button onClick={onClose} className="btn-secondary flex items-center gap-1 text-sm">
+          <X className="w-4 h-4" />
+          Close
+        </button>
+      </div>
+
+      {analytes.length === 0 ? (
+        <p className="text-sm text-gray-500">The runs have no analytes in common.</p>
+      ) : (
+        <>
+          <div className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-medium">Treatment Mean Over Time</h3>
+              <select value={analyte} onChange={(e) => setAnalyte(e.target.value)} className="input-field w-auto py-1">
+                {analytes.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+            <ResponsiveContainer width="100%" height={320}>
+              <ComposedChart data={chartData(series[analyte])}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  domain={['dataMin', 'dataMax']}
+                  label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }}
+                />
+                <YAxis label={{ value: `${analyte} (ppm)`, angle: -90, position: 'insideLeft' }} />
+                <Tooltip
+                  formatter={(value, name) => [
+                    Array.isArray(value) ? `${value[0].toFixed(2)} to ${value[1].toFixed(2)}` : value.toFixed(2),
+                    name
+                  ]}
+                  labelFormatter={(value) => `Time: ${value} years`}
+                />
+                <Legend />
+                {scenarios.map((scenario, i) => (
+                  <Area
+                    key={`${scenario.id}_band`}
+                    dataKey={`${scenario.id}_band`}
+                    name={`${runLabel(scenario)}, 90% band`}
+                    stroke="none"
+                    fill={color(i)}
+                    fillOpacity={0.12}
+                    legendType="none"
+                  />
+                ))}
+                {scenarios.map((scenario, i) => (
+                  <Line
+                    key={scenario.id}
+                    dataKey={scenario.id}
+                    name={runLabel(scenario)}
+                    stroke={color(i)}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+            <p className="text-xs text-gray-500">
+              Mean of the treatment samples; bands span the 5th to 95th percentiles of the realization means.
+            </p>
+          </div>
+
+          {cell && (
+            <div className="space-y-3">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg font-medium">Summary Statistic Differences</h3>
+                <select
+                  value={cell.time}
+                  onChange={(e) => setTime(Number(e.target.value))}
+                  className="input-field w-auto py-1"
+                >
+                  {statistics[analyte].map(({ time }) => <option key={time} value={time}>{time} years</option>)}
+                </select>
+              </div>
+              <p className="text-sm text-gray-600">
+                Each statistic of {analyte} over the treatment samples at {cell.time} years, and its difference from
+                {' '}{runLabel(reference)} with a 95% interval from {bootstrapSamples} bootstrap resamples of the
+                realizations. Bold differences have intervals that exclude zero, so the scenarios are distinguishable in
+                that statistic.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-1">Scenario</th>
+                      {STATISTICS.map(({ id, label }) => (
+                        <th key={id} className="py-1">{label} (ppm)</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr className="border-b border-gray-100">
+                      <td className="py-1 font-medium">{runLabel(reference)}</td>
+                      {STATISTICS.map(({ id }) => (
+                        <td key={id} className="py-1">{ppm(cell.reference[id])}</td>
+                      ))}
+                    </tr>
+                    {cell.scenarios.map(({ id, differences }) => (
+                      <tr key={id} className="border-b border-gray-100 align-top">
+                        <td className="py-1 font-medium">{runLabel(others.find(s => s.id === id))}</td>
+                        {!differences && (
+                          <td colSpan={STATISTICS.length} className="py-1 text-gray-500">No treatment samples at this time</td>
+                        )}
+                        {differences && STATISTICS.map(({ id: statistic }) => {
+                          const d = differences[statistic]
+                          return (
+                            <td key={statistic} className="py-1">
+                              <div>{ppm(d.value)}</div>
+                              <div className={`text-xs ${d.distinguishable ? 'font-semibold text-gray-900' : 'text-gray-500'}`}>
+                                {d.difference >= 0 ? '+' : ''}{ppm(d.difference)} ({ppm(d.lower)} to {ppm(d.upper)})
+                              </div>
+                            </td>
+                          )
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="space-y-3">
+        <h3 className="text-lg font-medium">Parameter Differences</h3>
+        {parameters.length === 0 ? (
+          <p className="text-sm text-gray-500">The runs have identical parameters.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1">Parameter</th>
+                  {scenarios.map(scenario => (
+                    <th key={scenario.id} className="py-1">{runLabel(scenario)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {parameters.map(({ path, values }) => (
+                  <tr key={path} className="border-b border-gray-100">
+                    <td className="py-1 font-mono text-xs">{path}</td>
+                    {values.map((value, i) => (
+                      <td key={scenarios[i].id} className="py-1">{formatParameter(value)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ScenarioComparison
@@ -0,0 +1,294 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts'
+import { Play, Loader2, XCircle, Sigma } from 'lucide-react'
+import FieldError from './FieldError'
+import { runSensitivity, cancelJob } from '../services/api'
+
+// Inputs of the mixing model with the nominal values and ranges of
+// scripts/core_sensitivity.jl; the soil concentration is held fixed there
+export const SENSITIVITY_INPUTS = [
+  { id: 'feedstockFraction', symbol: 'γ', label: 'Feedstock fraction in core', unit: '', value: 0.9, min: 0.25, max: 1, step: 0.05 },
+  { id: 'depth', symbol: 'd', label: 'Sampling depth', unit: 'm', value: 0.1, min: 0.05, max: 0.2, step: 0.01 },
+  { id: 'applicationRate', symbol: 'Q', label: 'Application rate', unit: 'kg/m²', value: 3, min: 0, max: 5.6, step: 0.1 },
+  { id: 'feedstockDensity', symbol: 'ρf', label: 'Feedstock density', unit: 'kg/m³', value: 3000, min: 1000, max: 3000, step: 100 },
+  { id: 'feedstockConcentration', symbol: 'cf', label: 'Feedstock concentration', unit: 'kg/kg', value: 0.05, min: 0.04, max: 0.09, step: 0.005 },
+  { id: 'soilDensity', symbol: 'ρs', label: 'Soil density', unit: 'kg/m³', value: 1000, min: 500, max: 1500, step: 100 },
+  { id: 'soilConcentration', symbol: 'cs', label: 'Soil concentration', unit: 'kg/kg', value: 0.003, step: 0.0005 },
+  { id: 'analyteLoss', symbol: '𝓁', label: 'Analyte loss fraction', unit: '', value: 0.5, min: 0, max: 1, step: 0.05 },
+  { id: 'massLoss', symbol: 'ℒ', label: 'Feedstock mass loss fraction', unit: '', value: 0.5, min: 0, max: 1, step: 0.05 }
+]
+
+const DEFAULT_SAMPLES = 20000
+
+const defaultParameters = () => Object.fromEntries(SENSITIVITY_INPUTS.map(({ id, value, min, max }) => [
+  id,
+  min === undefined ? { value } : { value, min, max }
+]))
+
+const symbolOf = (id) => SENSITIVITY_INPUTS.find(input => input.id === id).symbol
+
+const InputRow = ({ input, parameter, onChange, errors }) => {
+  const field = `parameters.${input.id}`
+  const ranged = parameter.min !== undefined
+  const set = (key, value) => onChange({ ...parameter, [key]: parseFloat(value) })
+
+  const toggleRange = (checked) => {
+    const { value } = parameter
+    onChange(checked
+      ? { value, min: input.min ?? value * 0.5, max: input.max ?? value * 1.5 }
+      : { value })
+  }
+
+  return (
+    <tr className="border-b border-gray-100">
+      <td className="py-1 pr-2">
+        <span className="font-medium">{input.symbol}</span>
+        <span className="text-gray-600"> {input.label}{input.unit && ` (${input.unit})`}</span>
+      </td>
+      {['value', 'min', 'max'].map(key => (
+        <td key={key} className="py-1 pr-2 w-28">
+          {(key === 'value' || ranged) && (
+            <input
+              type="number"
+              step={input.step}
+              value={parameter[key]}
+              onChange={(e) => set(key, e.target.value)}
+              className="input-field py-1"
+            />
+          )}
+          <FieldError errors={errors} field={`${field}.${key}`} />
+        </td>
+      ))}
+      <td className="py-1 text-center">
+        <input type="checkbox" checked={ranged} onChange={(e) => toggleRange(e.target.checked)} />
+      </td>
+      <td className="py-1 pl-2">
+        {errors?.[field] && <p className="text-xs text-red-600">{errors[field]}</p>}
+      </td>
+    </tr>
+  )
+}
+
+// Sobol indices and gradients of the core concentration with respect to the
+// inputs of the mixing model, as computed by the server
+const SensitivityResults = ({ result }) => {
+  const ranged = result.inputs.filter(i => i.firstOrder !== null || i.total !== null)
+  const sobol = ranged.map(i => ({ input: symbolOf(i.name), firstOrder: i.firstOrder, total: i.total }))
+  const gradients = result.inputs.map(i => ({ input: symbolOf(i.name), change: i.change, gradient: i.gradient }))
+
+  return (
+    <div className="space-y-8">
+      <p className="text-sm text-gray-600">
+        Core concentration at the nominal inputs: <span className="font-medium">{(result.concentration * 1e6).toFixed(1)} ppm</span>.
+        Sobol indices from {result.samples.toLocaleString()} base samples ({result.evaluations.toLocaleString()} model runs).
+      </p>
+
+      <div>
+        <h3 className="text-lg font-medium mb-1">Sobol Indices</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Share of the variance of the core concentration over the input ranges due to each input alone (first
+          order) and including its interactions with the others (total). Small negative values are estimation noise.
+        </p>
+        <ResponsiveContainer width="100%" height={300}>
+          <BarChart data={sobol}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="input" />
+            <YAxis />
+            <Tooltip formatter={(value, name) => [value?.toFixed(3) ?? '—', name]} />
+            <Legend />
+            <ReferenceLine y={0} stroke="#111827" />
+            <Bar dataKey="firstOrder" name="First order" fill="#2563eb" />
+            <Bar dataKey="total" name="Total" fill="#93c5fd" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium mb-1">Local Gradients</h3>
+        <p className="text-xs text-gray-500 mb-3">
+          Change in core concentration for a 1% increase of each input from its nominal value.
+        </p>
+        <ResponsiveContainer width="100%" height={320}>
+          <BarChart data={gradients} layout="vertical">
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" label={{ value: 'ppm per 1% change', position: 'insideBottom', offset: -5 }} />
+            <YAxis type="category" dataKey="input" width={40} />
+            <Tooltip
+              formatter={(value, name, { payload }) => [
+                `${value.toFixed(3)} ppm (∂c/∂u = ${payload.gradient.toPrecision(3)})`,
+                'Change'
+              ]}
+            />
+            <ReferenceLine x={0} stroke="#111827" />
+            <Bar dataKey="change" name="Change" fill="#6b7280" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  )
+}
+
+// Page for the global sensitivity analysis of the core mixing model: nominal
+// values and ranges of its inputs, run on the server as a job. Shows the
+// `opened` run from the run history with its inputs, and calls `onFinish`
+// when an analysis succeeds.
+const SensitivityPage = ({ opened, onFinish }) => {
+  const [parameters, setParameters] = useState(defaultParameters)
+  const [samples, setSamples] = useState(DEFAULT_SAMPLES)
+  const [result, setResult] = useState(null)
+  const [job, setJob] = useState(null)
+  const [isRunning, setIsRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [fieldErrors, setFieldErrors] = useState(null)
+  const watchRef = useRef(null)
+
+  useEffect(() => () => watchRef.current?.abort(), [])
+
+  useEffect(() => {
+    if (!opened) return
+    setParameters({ ...defaultParameters(), ...opened.spec.parameters })
+    setSamples(opened.spec.samples ?? DEFAULT_SAMPLES)
+    setResult(opened.result)
+    setError(null)
+    setFieldErrors(null)
+  }, [opened])
+
+  const handleRun = async () => {
+    setIsRunning(true)
+    setError(null)
+    setFieldErrors(null)
+    setJob(null)
+
+    const controller = new AbortController()
+    watchRef.current = controller
+
+    try {
+      const analysis = await runSensitivity({ parameters, samples }, { onUpdate: setJob, signal: controller.signal })
+      if (analysis) {
+        setResult(analysis)
+        onFinish?.()
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to run sensitivity analysis')
+      setFieldErrors(err.fields || null)
+    } finally {
+      setIsRunning(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    if (!job) return
+    try {
+      await cancelJob(job.id)
+    } catch (err) {
+      setError(err.message || 'Failed to cancel sensitivity analysis')
+    }
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-8">
+      <div className="lg:col-span-2">
+        <div className="card">
+          <div className="flex items-center gap-2 mb-4">
+            <Sigma className="w-5 h-5 text-primary-600" />
+            <h2 className="text-xl font-semibold">Mixing Model Inputs</h2>
+          </div>
+          <p className="text-xs text-gray-500 mb-3">
+            Gradients are taken at the nominal values. Inputs marked "Vary" are sampled over their range for the
+            Sobol indices; the others stay at their nominal values.
+          </p>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-600 border-b">
+                <th className="py-1">Input</th>
+                <th className="py-1">Nominal</th>
+                <th className="py-1">Min</th>
+                <th className="py-1">Max</th>
+                <th className="py-1">Vary</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {SENSITIVITY_INPUTS.map(input => (
+                <InputRow
+                  key={input.id}
+                  input={input}
+                  parameter={parameters[input.id]}
+                  onChange={(parameter) => setParameters(prev => ({ ...prev, [input.id]: parameter }))}
+                  errors={fieldErrors}
+                />
+              ))}
+            </tbody>
+          </table>
+          {fieldErrors?.parameters && <p className="text-xs text-red-600 mt-1">{fieldErrors.parameters}</p>}
+
+          <div className="mt-3">
+            <label className="block text-xs text-gray-600 mb-1">Sobol Base Samples</label>
+            <input
+              type="number"
+              step="1000"
+              min="1000"
+              max="200000"
+              value={samples}
+              onChange={(e) => setSamples(parseInt(e.target.value))}
+              className="input-field"
+            />
+            <FieldError errors={fieldErrors} field="samples" />
+          </div>
+
+          <div className="mt-6 space-y-3">
+            <button
+              onClick={handleRun}
+              disabled={isRunning}
+              className="btn-primary w-full flex items-center justify-center gap-2"
+            >
+              {isRunning ? (
+                <>
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Running Analysis...
+                </>
+              ) : (
+                <>
+                  <Play className="w-4 h-4" />
+                  Run Sensitivity Analysis
+                </>
+              )}
+            </button>
+            {isRunning && job && (
+              <button onClick={handleCancel} className="btn-secondary w-full flex items-center justify-center gap-2">
+                <XCircle className="w-4 h-4" />
+                Cancel Analysis
+              </button>
+            )}
+          </div>
+
+          {error && (
+            <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-red-700 text-sm">{error}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="lg:col-span-3">
+        <div className="card">
+          <h2 className="text-xl font-semibold mb-4">Core Concentration Sensitivity</h2>
+          {result ? (
+            <SensitivityResults result={result} />
+          ) : (
+            <div className="flex items-center justify-center h-96 text-center text-gray-500">
+              <div>
+                <Sigma className="w-16 h-16 mx-auto mb-4 opacity-50" />
+                <p className="text-lg">No sensitivity analysis yet</p>
+                <p className="text-sm">Set the inputs and their ranges, then run the analysis</p>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SensitivityPage
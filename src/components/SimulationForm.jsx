@@ -1,6 +1,19 @@
-import React from 'react'
+import React, { useState } from 'react'
+import FieldError from './FieldError'
+import AnalyteEditor from './AnalyteEditor'
+import MixingEditor from './MixingEditor'
+import FieldEditor from './FieldEditor'
+import PlanDesigner from './PlanDesigner'
+import CoringEditor from './CoringEditor'
+import SpatialEditor, { pruneSpatial } from './SpatialEditor'
+import SweepEditor from './SweepEditor'
+
+const SimulationForm = ({ params, onChange, errors }) => {
+  // Frame the uploaded field outline was read in, kept with the outline so
+  // that it is dropped once the field is replaced
+  const [upload, setUpload] = useState(null)
+  const fieldFrame = upload && upload.coordinates === params.field?.coordinates ? upload.frame : null
 
-const SimulationForm = ({ params, onChange }) => {
   const handleChange = (field, value) => {
     onChange(prev => ({
       ...prev,
@@ -8,20 +21,21 @@ const SimulationForm = ({ params, onChange }) => {
     }))
   }
 
-  const handleTimePointsChange = (value) => {
-    try {
-      const timePoints = value.split(',').map(t => parseFloat(t.trim())).filter(t => !isNaN(t))
-      onChange(prev => ({
-        ...prev,
-        timePoints
-      }))
-    } catch (err) {
-      // Invalid input, ignore
-    }
-  }
-
   return (
     <div className="space-y-4">
+      {/* Field Geometry */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Field</h3>
+        <FieldEditor
+          field={params.field}
+          onChange={(field, frame) => {
+            handleChange('field', field)
+            setUpload(frame ? { coordinates: field.coordinates, frame } : null)
+          }}
+          errors={errors}
+        />
+      </div>
+
       {/* Feedstock Parameters */}
       <div>
         <h3 className="text-sm font-medium text-gray-700 mb-3">Feedstock Parameters</h3>
@@ -37,97 +51,63 @@ const SimulationForm = ({ params, onChange }) => {
               onChange={(e) => handleChange('applicationRate', parseFloat(e.target.value))}
               className="input-field"
             />
-          </div>
-          
-          <div className="grid grid-cols-2 gap-2">
-            <div>
-              <label className="block text-xs text-gray-600 mb-1">
-                Ca Concentration
-              </label>
-              <input
-                type="number"
-                step="0.001"
-                value={params.feedstockCa}
-                onChange={(e) => handleChange('feedstockCa', parseFloat(e.target.value))}
-                className="input-field"
-              />
-            </div>
-            <div>
-              <label className="block text-xs text-gray-600 mb-1">
-                Mg Concentration
-              </label>
-              <input
-                type="number"
-                step="0.001"
-                value={params.feedstockMg}
-                onChange={(e) => handleChange('feedstockMg', parseFloat(e.target.value))}
-                className="input-field"
-              />
-            </div>
+            <FieldError errors={errors} field="applicationRate" />
           </div>
         </div>
       </div>
 
-      {/* Soil Parameters */}
+      {/* Analyte Parameters */}
       <div>
-        <h3 className="text-sm font-medium text-gray-700 mb-3">Soil Parameters</h3>
-        <div className="grid grid-cols-2 gap-2">
-          <div>
-            <label className="block text-xs text-gray-600 mb-1">
-              Soil Ca (kg/kg)
-            </label>
-            <input
-              type="number"
-              step="0.0001"
-              value={params.soilCa}
-              onChange={(e) => handleChange('soilCa', parseFloat(e.target.value))}
-              className="input-field"
-            />
-          </div>
-          <div>
-            <label className="block text-xs text-gray-600 mb-1">
-              Soil Mg (kg/kg)
-            </label>
-            <input
-              type="number"
-              step="0.0001"
-              value={params.soilMg}
-              onChange={(e) => handleChange('soilMg', parseFloat(e.target.value))}
-              className="input-field"
-            />
-          </div>
-        </div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Analytes</h3>
+        <AnalyteEditor
+          analytes={params.analytes}
+          onChange={(analytes) => onChange(prev => ({
+            ...prev,
+            analytes,
+            spatial: pruneSpatial(prev.spatial, analytes)
+          }))}
+          errors={errors}
+          horizon={Math.max(1, ...params.timePoints)}
+        />
       </div>
 
-      {/* Leaching Parameters */}
+      {/* Mixing Parameters */}
       <div>
-        <h3 className="text-sm font-medium text-gray-700 mb-3">Leaching Rates</h3>
-        <div className="grid grid-cols-2 gap-2">
-          <div>
-            <label className="block text-xs text-gray-600 mb-1">
-              Ca Leaching Rate
-            </label>
-            <input
-              type="number"
-              step="0.1"
-              value={params.leachingRateCa}
-              onChange={(e) => handleChange('leachingRateCa', parseFloat(e.target.value))}
-              className="input-field"
-            />
-          </div>
-          <div>
-            <label className="block text-xs text-gray-600 mb-1">
-              Mg Leaching Rate
-            </label>
-            <input
-              type="number"
-              step="0.1"
-              value={params.leachingRateMg}
-              onChange={(e) => handleChange('leachingRateMg', parseFloat(e.target.value))}
-              className="input-field"
-            />
-          </div>
-        </div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Mixing</h3>
+        <MixingEditor
+          mixing={params.mixing}
+          onChange={(mixing) => handleChange('mixing', mixing)}
+          errors={errors}
+          samplingDepth={params.samplingDepth}
+        />
+      </div>
+
+      {/* Spatial Correlation */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Spatial Correlation</h3>
+        <SpatialEditor
+          spatial={params.spatial}
+          analytes={params.analytes}
+          onChange={(spatial) => handleChange('spatial', spatial)}
+          errors={errors}
+        />
+      </div>
+
+      {/* Sample Plan */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Sample Plan</h3>
+        <PlanDesigner params={params} onChange={handleChange} errors={errors} fieldFrame={fieldFrame} />
+      </div>
+
+      {/* Coring */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Coring</h3>
+        <CoringEditor
+          coring={params.coring}
+          onChange={(coring) => handleChange('coring', coring)}
+          errors={errors}
+          planType={params.plan?.type}
+        />
       </div>
 
       {/* Sampling Parameters */}
@@ -145,46 +125,78 @@ const SimulationForm = ({ params, onChange }) => {
               onChange={(e) => handleChange('samplingDepth', parseFloat(e.target.value))}
               className="input-field"
             />
+            <FieldError errors={errors} field="samplingDepth" />
           </div>
           
           <div>
             <label className="block text-xs text-gray-600 mb-1">
-              Number of Samples
+              Number of Realizations
             </label>
             <input
               type="number"
-              value={params.numSamples}
-              onChange={(e) => handleChange('numSamples', parseInt(e.target.value))}
+              value={params.numRealizations}
+              onChange={(e) => handleChange('numRealizations', parseInt(e.target.value))}
               className="input-field"
             />
+            <FieldError errors={errors} field="numRealizations" />
           </div>
-          
+
           <div>
             <label className="block text-xs text-gray-600 mb-1">
-              Number of Realizations
+              Significance Level (α) for Control Comparisons
             </label>
             <input
               type="number"
-              value={params.numRealizations}
-              onChange={(e) => handleChange('numRealizations', parseInt(e.target.value))}
+              step="0.01"
+              min="0"
+              max="0.5"
+              value={params.analysis?.alpha ?? 0.05}
+              onChange={(e) => handleChange('analysis', { alpha: parseFloat(e.target.value) })}
               className="input-field"
             />
+            <FieldError errors={errors} field="analysis.alpha" />
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={params.output?.stages ?? false}
+                onChange={(e) => handleChange('output', { stages: e.target.checked })}
+              />
+              Return per-stage data (cores, composites and sampled inputs)
+            </label>
+            <FieldError errors={errors} field="output" />
           </div>
           
           <div>
             <label className="block text-xs text-gray-600 mb-1">
-              Time Points (years, comma-separated)
+              Random Seed (leave empty for a random seed)
             </label>
             <input
-              type="text"
-              value={params.timePoints.join(', ')}
-              onChange={(e) => handleTimePointsChange(e.target.value)}
+              type="number"
+              min="0"
+              step="1"
+              value={params.seed ?? ''}
+              onChange={(e) => handleChange('seed', e.target.value === '' ? null : parseInt(e.target.value))}
               className="input-field"
-              placeholder="0, 0.5, 1.0"
+              placeholder="Random"
             />
+            <FieldError errors={errors} field="seed" />
           </div>
         </div>
       </div>
+
+      {/* Parameter Sweep */}
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-3">Parameter Sweep</h3>
+        <SweepEditor
+          sweep={params.sweep}
+          params={params}
+          onChange={(sweep) => handleChange('sweep', sweep)}
+          errors={errors}
+        />
+      </div>
     </div>
   )
 }
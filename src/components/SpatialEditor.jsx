@@ -0,0 +1,239 @@
+import React from 'react'
+import FieldError from './FieldError'
+
+export const COVARIANCE_MODELS = [
+  { id: 'spherical', label: 'Spherical' },
+  { id: 'exponential', label: 'Exponential' },
+  { id: 'gaussian', label: 'Gaussian' }
+]
+
+const DEFAULT_COVARIANCE = { model: 'spherical', range: 20, sill: 0.01, nugget: 0 }
+
+// Short description of a covariance spec for the parameters tab
+export const describeCovariance = ({ model, range, sill, nugget = 0 }) => {
+  const { label } = COVARIANCE_MODELS.find(m => m.id === model)
+  const std = (Math.sqrt(sill) * 100).toFixed(0)
+  return `${label}, range ${range} m, ${std}% std${nugget > 0 ? `, nugget ${nugget}` : ''}`
+}
+
+// Drops the spatial structure of analytes that are no longer in the spec,
+// leaving out `spatial` altogether once nothing is left in it
+export const pruneSpatial = (spatial, analytes) => {
+  if (!spatial) return spatial
+  const names = analytes.map(a => a.name)
+  const next = { ...spatial }
+  if (next.soil) {
+    next.soil = Object.fromEntries(Object.entries(next.soil).filter(([name]) => names.includes(name)))
+    if (Object.keys(next.soil).length === 0) delete next.soil
+  }
+  if (next.cosimulation?.analytes.some(name => !names.includes(name))) delete next.cosimulation
+  return Object.keys(next).length > 0 ? next : undefined
+}
+
+const CovarianceInput = ({ covariance, onChange, errors, field }) => {
+  const set = (key, value) => onChange({ ...covariance, [key]: value })
+  return (
+    <div className="grid grid-cols-4 gap-2">
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Model</label>
+        <select
+          value={covariance.model}
+          onChange={(e) => set('model', e.target.value)}
+          className="input-field py-1"
+        >
+          {COVARIANCE_MODELS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Range (m)</label>
+        <input
+          type="number"
+          step="1"
+          min="0"
+          value={covariance.range}
+          onChange={(e) => set('range', parseFloat(e.target.value))}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.range`} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Sill</label>
+        <input
+          type="number"
+          step="0.005"
+          min="0"
+          value={covariance.sill}
+          onChange={(e) => set('sill', parseFloat(e.target.value))}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.sill`} />
+      </div>
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">Nugget</label>
+        <input
+          type="number"
+          step="0.001"
+          min="0"
+          value={covariance.nugget ?? 0}
+          onChange={(e) => set('nugget', parseFloat(e.target.value))}
+          className="input-field"
+        />
+        <FieldError errors={errors} field={`${field}.nugget`} />
+      </div>
+    </div>
+  )
+}
+
+// Checkbox making an input spatially correlated, with its covariance
+const SpatialInput = ({ label, covariance, onChange, errors, field, disabled, note }) => (
+  <div className="space-y-2">
+    <label className="flex items-center gap-2 text-xs text-gray-700">
+      <input
+        type="checkbox"
+        checked={!!covariance}
+        disabled={disabled}
+        onChange={(e) => onChange(e.target.checked ? DEFAULT_COVARIANCE : undefined)}
+      />
+      {label}
+      {note && <span className="text-gray-500">({note})</span>}
+    </label>
+    {covariance && (
+      <CovarianceInput covariance={covariance} onChange={onChange} errors={errors} field={field} />
+    )}
+    {errors?.[field] && <p className="text-xs text-red-600 mt-1">{errors[field]}</p>}
+  </div>
+)
+
+const SpatialEditor = ({ spatial = {}, analytes, onChange, errors }) => {
+  const names = analytes.map(a => a.name)
+  const cosimulation = spatial.cosimulation
+  const paired = cosimulation?.analytes ?? []
+
+  const set = (changes) => {
+    const next = { ...spatial, ...changes }
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key])
+    onChange(Object.keys(next).length > 0 ? next : undefined)
+  }
+
+  const setSoil = (name, covariance) => {
+    const soil = { ...spatial.soil, [name]: covariance }
+    if (!covariance) delete soil[name]
+    set({ soil: Object.keys(soil).length > 0 ? soil : undefined })
+  }
+
+  const setCosimulation = (changes) => set({ cosimulation: { ...cosimulation, ...changes } })
+
+  // Analytes in the pair lose any spatial structure of their own
+  const setPair = (i, name) => {
+    const pair = [...paired]
+    pair[i] = name
+    const soil = { ...spatial.soil }
+    pair.forEach(n => delete soil[n])
+    set({
+      soil: Object.keys(soil).length > 0 ? soil : undefined,
+      cosimulation: { ...cosimulation, analytes: pair }
+    })
+  }
+
+  const toggleCosimulation = (checked) => {
+    if (!checked) return set({ cosimulation: undefined })
+    const soil = { ...spatial.soil }
+    names.slice(0, 2).forEach(n => delete soil[n])
+    set({
+      soil: Object.keys(soil).length > 0 ? soil : undefined,
+      cosimulation: { analytes: names.slice(0, 2), correlation: 0.5, covariance: DEFAULT_COVARIANCE }
+    })
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-gray-500">
+        Correlated inputs are similar at nearby cores. Sill and nugget are variances relative to the
+        squared mean: a sill of 0.01 is a 10% standard deviation. Unchecked inputs vary independently
+        by 10% from core to core.
+      </p>
+
+      <SpatialInput
+        label="Application rate"
+        covariance={spatial.applicationRate}
+        onChange={(covariance) => set({ applicationRate: covariance })}
+        errors={errors}
+        field="spatial.applicationRate"
+      />
+
+      {names.map(name => (
+        <SpatialInput
+          key={name}
+          label={`${name} soil concentration`}
+          covariance={spatial.soil?.[name]}
+          onChange={(covariance) => setSoil(name, covariance)}
+          errors={errors}
+          field={`spatial.soil.${name}`}
+          disabled={paired.includes(name)}
+          note={paired.includes(name) ? 'cosimulated' : null}
+        />
+      ))}
+
+      {names.length >= 2 && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-xs text-gray-700">
+            <input
+              type="checkbox"
+              checked={!!cosimulation}
+              onChange={(e) => toggleCosimulation(e.target.checked)}
+            />
+            Cosimulate two soil concentrations
+          </label>
+          {cosimulation && (
+            <>
+              <div className="grid grid-cols-3 gap-2">
+                {[0, 1].map(i => (
+                  <div key={i}>
+                    <label className="block text-xs text-gray-600 mb-1">Analyte {i + 1}</label>
+                    <select
+                      value={paired[i]}
+                      onChange={(e) => setPair(i, e.target.value)}
+                      className="input-field py-1"
+                    >
+                      {names.map(name => (
+                        <option key={name} value={name}>{name}</option>
+                      ))}
+                    </select>
+                    <FieldError errors={errors} field={`spatial.cosimulation.analytes.${i}`} />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">Correlation</label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    min="-0.99"
+                    max="0.99"
+                    value={cosimulation.correlation}
+                    onChange={(e) => setCosimulation({ correlation: parseFloat(e.target.value) })}
+                    className="input-field"
+                  />
+                  <FieldError errors={errors} field="spatial.cosimulation.correlation" />
+                </div>
+              </div>
+              <CovarianceInput
+                covariance={cosimulation.covariance}
+                onChange={(covariance) => setCosimulation({ covariance })}
+                errors={errors}
+                field="spatial.cosimulation.covariance"
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Each realization factors a covariance matrix over all cores, so large plans run slowly.
+      </p>
+    </div>
+  )
+}
+
+export default SpatialEditor
@@ -0,0 +1,172 @@
+import React from 'react'
+import { Plus, Trash2 } from 'lucide-react'
+import FieldError from './FieldError'
+
+export const SWEEP_PARAMETERS = [
+  { id: 'numSamples', label: 'Number of samples', unit: '', range: { from: 10, to: 50, steps: 5 } },
+  { id: 'cores', label: 'Cores per sample', unit: '', range: { from: 1, to: 9, steps: 5 } },
+  { id: 'applicationRate', label: 'Application rate', unit: 'kg/m²', range: { from: 1, to: 5, steps: 5 } },
+  { id: 'timePoints', label: 'Time points', unit: 'yr' }
+]
+
+const MAX_PARAMETERS = 2
+
+export const sweepLabel = (name) => SWEEP_PARAMETERS.find(p => p.id === name).label
+
+// Text of a swept value, e.g. '0, 0.5, 1' for a list of time points
+export const formatSweepValue = (value) => (Array.isArray(value) ? value.join(', ') : String(value))
+
+// Starting values of a newly swept parameter, from the spec being swept
+const defaultParameter = (name, params) => {
+  if (name === 'timePoints') {
+    const times = params.timePoints
+    return { name, values: [times, [...times, times[times.length - 1] + 1]] }
+  }
+  return { name, range: SWEEP_PARAMETERS.find(p => p.id === name).range }
+}
+
+const parseNumbers = (text) => text.split(',').map(v => parseFloat(v.trim())).filter(v => !isNaN(v))
+
+const ParameterInput = ({ parameter, index, params, onChange, onRemove, taken, errors }) => {
+  const field = `sweep.parameters.${index}`
+  const { name, values, range } = parameter
+
+  return (
+    <div className="space-y-2 p-2 border border-gray-200 rounded-lg">
+      <div className="flex items-end gap-2">
+        <div className="flex-1">
+          <label className="block text-xs text-gray-600 mb-1">Parameter</label>
+          <select
+            value={name}
+            onChange={(e) => onChange(defaultParameter(e.target.value, params))}
+            className="input-field py-1"
+          >
+            {SWEEP_PARAMETERS.filter(p => p.id === name || !taken.includes(p.id)).map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {name !== 'timePoints' && (
+          <div>
+            <label className="block text-xs text-gray-600 mb-1">Values</label>
+            <select
+              value={range ? 'range' : 'list'}
+              onChange={(e) => onChange(e.target.value === 'range'
+                ? defaultParameter(name, params)
+                : { name, values: [range.from, range.to] })}
+              className="input-field py-1"
+            >
+              <option value="range">Range</option>
+              <option value="list">List</option>
+            </select>
+          </div>
+        )}
+        <button
+          type="button"
+          onClick={onRemove}
+          className="p-2 text-gray-500 hover:text-red-600"
+          title="Stop sweeping this parameter"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {range && (
+        <div className="grid grid-cols-3 gap-2">
+          {['from', 'to', 'steps'].map(key => (
+            <div key={key}>
+              <label className="block text-xs text-gray-600 mb-1 capitalize">{key}</label>
+              <input
+                type="number"
+                step={key === 'steps' || name !== 'applicationRate' ? '1' : '0.5'}
+                value={range[key]}
+                onChange={(e) => onChange({
+                  name,
+                  range: { ...range, [key]: key === 'steps' ? parseInt(e.target.value) : parseFloat(e.target.value) }
+                })}
+                className="input-field"
+              />
+              <FieldError errors={errors} field={`${field}.range.${key}`} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {values && (
+        <div>
+          <input
+            type="text"
+            value={name === 'timePoints' ? values.map(formatSweepValue).join('; ') : values.join(', ')}
+            onChange={(e) => onChange({
+              name,
+              values: name === 'timePoints'
+                ? e.target.value.split(';').map(parseNumbers).filter(times => times.length > 0)
+                : parseNumbers(e.target.value)
+            })}
+            className="input-field"
+            placeholder={name === 'timePoints' ? '0, 1; 0, 0.5, 1' : '10, 20, 50'}
+          />
+          {name === 'timePoints' && (
+            <p className="text-xs text-gray-500 mt-1">Separate the lists of times with semicolons</p>
+          )}
+          <FieldError errors={errors} field={`${field}.values`} />
+        </div>
+      )}
+
+      {errors?.[field] && <p className="text-xs text-red-600 mt-1">{errors[field]}</p>}
+      <FieldError errors={errors} field={`${field}.name`} />
+    </div>
+  )
+}
+
+// Up to two design parameters to sweep, each over a list of values or a range.
+// A spec with a sweep runs once for every combination of the swept values.
+const SweepEditor = ({ sweep, params, onChange, errors }) => {
+  const parameters = sweep?.parameters ?? []
+  const taken = parameters.map(p => p.name)
+
+  const setParameters = (next) => onChange(next.length > 0 ? { parameters: next } : undefined)
+
+  const addParameter = () => {
+    const name = SWEEP_PARAMETERS.find(p => !taken.includes(p.id)).id
+    setParameters([...parameters, defaultParameter(name, params)])
+  }
+
+  return (
+    <div className="space-y-3">
+      <p className="text-xs text-gray-500">
+        Run the simulation once for every combination of the swept values, all with the same seed, and chart
+        how the results change with them.
+      </p>
+
+      {parameters.map((parameter, i) => (
+        <ParameterInput
+          key={i}
+          parameter={parameter}
+          index={i}
+          params={params}
+          taken={taken}
+          onChange={(next) => setParameters(parameters.map((p, j) => (j === i ? next : p)))}
+          onRemove={() => setParameters(parameters.filter((_, j) => j !== i))}
+          errors={errors}
+        />
+      ))}
+
+      {parameters.length < MAX_PARAMETERS && (
+        <button
+          type="button"
+          onClick={addParameter}
+          className="btn-secondary w-full flex items-center justify-center gap-2 text-sm"
+        >
+          <Plus className="w-4 h-4" />
+          Sweep a Parameter
+        </button>
+      )}
+      {errors?.['sweep.parameters'] && (
+        <p className="text-xs text-red-600 mt-1">{errors['sweep.parameters']}</p>
+      )}
+    </div>
+  )
+}
+
+export default SweepEditor
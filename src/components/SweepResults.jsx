@@ -0,0 +1,167 @@
+import React, { useState } from 'react'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { scaleColor } from './SampleMap'
+import { TESTS } from './PowerAnalysis'
+import { formatSweepValue, sweepLabel } from './SweepEditor'
+
+// Metrics of each sweep run, as reported by the server per analyte and round
+const METRICS = [
+  ...TESTS.map(({ id, label }) => ({ id, label: `${label} power`, format: (x) => `${(x * 100).toFixed(0)}%` })),
+  { id: 'meanStd', label: 'Std of the treatment mean (ppm)', scale: 1e6, format: (x) => x.toFixed(3) },
+  { id: 'mean', label: 'Treatment mean (ppm)', scale: 1e6, format: (x) => x.toFixed(2) }
+]
+
+const key = (value) => formatSweepValue(value)
+
+// Value of a metric in a finished run, or null
+const metricOf = (run, analyte, round, metric) => {
+  const rounds = run.metrics?.[analyte]
+  if (!rounds) return null
+  // runs sweeping time points have rounds of their own; take the same position from the end
+  const entry = rounds[Math.max(rounds.length - 1 - round, 0)]
+  const value = entry?.[metric.id]
+  return value === null || value === undefined ? null : value * (metric.scale ?? 1)
+}
+
+const Heatmap = ({ runs, parameters, value, metric }) => {
+  const [rows, columns] = parameters.map(p => [...new Map(runs.map(r => [key(r.values[p.name]), r.values[p.name]])).values()])
+  const cell = new Map(runs.map(r => [`${key(r.values[parameters[0].name])}|${key(r.values[parameters[1].name])}`, r]))
+  const values = runs.map(value).filter(v => v !== null)
+  const [min, max] = values.reduce(([lo, hi], v) => [Math.min(lo, v), Math.max(hi, v)], [Infinity, -Infinity])
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs mx-auto">
+        <thead>
+          <tr>
+            <th className="p-1 text-right text-gray-600">
+              {sweepLabel(parameters[0].name)} ↓ / {sweepLabel(parameters[1].name)} →
+            </th>
+            {columns.map(c => (
+              <th key={key(c)} className="p-1 text-gray-600 font-medium">{key(c)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(r => (
+            <tr key={key(r)}>
+              <th className="p-1 text-right text-gray-600 font-medium">{key(r)}</th>
+              {columns.map(c => {
+                const run = cell.get(`${key(r)}|${key(c)}`)
+                const v = run ? value(run) : null
+                const t = max > min ? (v - min) / (max - min) : 0.5
+                return (
+                  <td
+                    key={key(c)}
+                    className="w-16 h-10 text-center rounded"
+                    style={{
+                      background: v === null ? '#f3f4f6' : scaleColor(t),
+                      color: v !== null && t > 0.6 ? '#111827' : 'white'
+                    }}
+                    title={run?.error ?? undefined}
+                  >
+                    {v === null ? (run?.status === 'failed' ? '✕' : '…') : metric.format(v)}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+// Results of a parameter sweep: a line chart of the chosen metric over one
+// swept parameter, or a heatmap over two. Runs fill in as they finish.
+const SweepResults = ({ sweep }) => {
+  const { analytes, parameters, runs } = sweep
+  const [analyte, setAnalyte] = useState(analytes[0])
+  const [metricId, setMetricId] = useState('tTest')
+  const [round, setRound] = useState(0)
+
+  const metric = METRICS.find(m => m.id === metricId)
+  const value = (run) => metricOf(run, analyte, round, metric)
+  const rounds = runs.reduce((n, r) => Math.max(n, r.metrics?.[analyte]?.length ?? 0), 0)
+  const failed = runs.filter(r => r.status === 'failed')
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="text-sm text-gray-600 mb-2">
+          {sweep.completed} of {sweep.total} runs finished
+          {(sweep.status === 'cancelled' || sweep.status === 'failed') && ` (${sweep.status})`}
+          {failed.length > 0 && `, ${failed.length} failed: ${failed[0].error}`}
+        </p>
+        {sweep.completed < sweep.total && (
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${(100 * sweep.completed) / sweep.total}%` }}
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Analyte</label>
+          <select value={analyte} onChange={(e) => setAnalyte(e.target.value)} className="input-field py-1">
+            {analytes.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Metric</label>
+          <select value={metricId} onChange={(e) => setMetricId(e.target.value)} className="input-field py-1">
+            {METRICS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">Sampling Round</label>
+          <select value={round} onChange={(e) => setRound(parseInt(e.target.value))} className="input-field py-1">
+            {Array.from({ length: Math.max(rounds, 1) }, (_, i) => (
+              <option key={i} value={i}>{i === 0 ? 'Last' : `${i} before last`}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {parameters.length === 1 ? (
+        <ResponsiveContainer width="100%" height={320}>
+          <LineChart
+            data={runs.map(r => ({ label: key(r.values[parameters[0].name]), value: value(r) }))}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="label"
+              label={{ value: sweepLabel(parameters[0].name), position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis tickFormatter={metric.format} />
+            <Tooltip formatter={(v) => [metric.format(v), metric.label]} />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="value"
+              name={`${analyte} ${metric.label}`}
+              stroke="#2563eb"
+              strokeWidth={2}
+              connectNulls
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      ) : (
+        <Heatmap runs={runs} parameters={parameters} value={value} metric={metric} />
+      )}
+
+      {TESTS.some(t => t.id === metric.id) && (
+        <p className="text-xs text-gray-500">Power needs control samples; runs without them have none.</p>
+      )}
+    </div>
+  )
+}
+
+export default SweepResults
@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+
+// Sources of the variance of measured samples, in stacking order
+const SOURCES = [
+  { key: 'field', label: 'Field heterogeneity', color: '#16a34a' },
+  { key: 'compositing', label: 'Compositing', color: '#ca8a04' },
+  { key: 'measurement', label: 'Measurement', color: '#dc2626' }
+]
+
+// Standard deviation in ppm of a variance in (kg/kg)²
+const ppm = (variance) => Math.sqrt(variance) * 1e6
+
+const share = (part, cell) => {
+  const sum = SOURCES.reduce((total, { key }) => total + cell[key], 0)
+  return sum > 0 ? (100 * part) / sum : 0
+}
+
+// How much of the spread of measured samples comes from field heterogeneity,
+// from the core-to-core spread left after compositing and from measurement,
+// by time point, from the results' `variance` (simulations with stages only)
+const VarianceDecomposition = ({ variance, analytes }) => {
+  const [control, setControl] = useState(false)
+
+  if (!variance) {
+    return (
+      <div className="text-center text-gray-500 py-8">
+        <p>Tick "Return per-stage data" under Sampling Parameters and run the simulation again to split the sample variance by source.</p>
+      </div>
+    )
+  }
+
+  const hasControl = Object.values(variance).some(cells => cells.some(c => c.control))
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs text-gray-500">
+          Variance of the measured samples of each time point within a realization, averaged over realizations.
+          Compositing is the core-to-core variance left after averaging each sample's cores; field heterogeneity is
+          the rest of the variance between composites; measurement is the lab error.
+        </p>
+        {hasControl && (
+          <select
+            value={control ? 'control' : 'treatment'}
+            onChange={(e) => setControl(e.target.value === 'control')}
+            className="input-field w-auto py-1 text-sm"
+          >
+            <option value="treatment">Treatment samples</option>
+            <option value="control">Control samples</option>
+          </select>
+        )}
+      </div>
+
+      {analytes.filter(name => variance[name]).map(name => {
+        const cells = variance[name].filter(c => c.control === control && c.total !== null)
+        const data = cells.map(cell => Object.fromEntries([
+          ['time', cell.time],
+          ...SOURCES.map(({ key }) => [key, share(cell[key], cell)])
+        ]))
+
+        return (
+          <div key={name} className="space-y-4">
+            <h3 className="text-lg font-medium">{name} Variance Sources</h3>
+            {cells.length === 0 ? (
+              <p className="text-sm text-gray-500">Needs at least two samples per time point.</p>
+            ) : (
+              <>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={data}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="time" label={{ value: 'Time (years)', position: 'insideBottom', offset: -5 }} />
+                    <YAxis domain={[0, 100]} unit="%" />
+                    <Tooltip formatter={(value, label) => [`${value.toFixed(1)}%`, label]} />
+                    <Legend />
+                    {SOURCES.map(({ key, label, color }) => (
+                      <Bar key={key} dataKey={key} name={label} stackId="variance" fill={color} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-600 border-b">
+                      <th className="py-1">Time (years)</th>
+                      <th className="py-1">Std dev (ppm)</th>
+                      {SOURCES.map(({ key, label }) => <th key={key} className="py-1">{label} (ppm)</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {cells.map(cell => (
+                      <tr key={cell.time} className="border-b border-gray-100">
+                        <td className="py-1">{cell.time}</td>
+                        <td className="py-1 font-medium">{ppm(cell.total).toFixed(2)}</td>
+                        {SOURCES.map(({ key }) => <td key={key} className="py-1">{ppm(cell[key]).toFixed(2)}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default VarianceDecomposition
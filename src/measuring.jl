@@ -1,6 +1,7 @@
 module Measuring
 
 using Random: AbstractRNG, Xoshiro, randn
+using Statistics: mean
 using Unitful: @u_str
 using UnPack: @unpack
 
@@ -21,16 +22,79 @@ function noise(rng::AbstractRNG, x::𝒯, σᵣ::𝒯) where {𝒯<:Number}
     x + ϵ
 end
 
+#------------------------------------------------------------------------------
+export MeasurementError
+
+"""Measurement error model of one analyte. Each of the lab `replicates` of a measured concentration `x` has normally distributed noise with standard deviation `√((relative * x)² + absolute²)`, the reported value is their mean, and it is censored when that mean falls below the `detectionlimit`. The internal fields are
+
+$(TYPEDFIELDS)
+
+The constructor is
+
+    function MeasurementError(;
+        relative::𝒯=0.0,
+        absolute::𝒯=0.0,
+        replicates::Integer=1,
+        detectionlimit::𝒯=0.0,
+    )
+
+## Keyword Arguments
+
+* `relative` is the relative standard deviation (coefficient of variation) of one replicate
+* `absolute` is the standard deviation of one replicate in units of concentration, independent of the concentration itself
+* `replicates` is the number of lab replicates averaged into each reported value
+* `detectionlimit` is the concentration below which reported values are censored. Values that are not positive are censored even with a zero detection limit.
+"""
+struct MeasurementError{𝒯}
+    relative::𝒯
+    absolute::𝒯
+    replicates::Int
+    detectionlimit::𝒯
+end
+
+function MeasurementError(;
+    relative::𝒯=0.0,
+    absolute::𝒯=0.0,
+    replicates::Integer=1,
+    detectionlimit::𝒯=0.0,
+) where {𝒯}
+    @assert relative >= zero(𝒯)
+    @assert absolute >= zero(𝒯)
+    @assert replicates >= 1
+    @assert detectionlimit >= zero(𝒯)
+    MeasurementError(relative, absolute, Int(replicates), detectionlimit)
+end
+
+"""$(TYPEDSIGNATURES)
+Applies the noise of a [`MeasurementError`](@ref) to a number `x`, averaging the noise of its replicates. Censoring is left to [`measure`](@ref)."""
+function noise(
+    rng::AbstractRNG,
+    x::𝒯,
+    e::MeasurementError{𝒯},
+) where {𝒯<:Number}
+    @unpack relative, absolute, replicates = e
+    σ = sqrt((relative * x)^2 + absolute^2)
+    x + σ * mean(_ -> randn(rng, 𝒯), 1:replicates)
+end
+
 #------------------------------------------------------------------------------
 export Measurement, measure, zero
 
-"""A `Measurement` behaves much like a [`Sample`](@ref) but has no core count. It represents observed values for a sample, after measurement noise is applied, and is produced by the [`measure`](@ref) methods.
+"""A `Measurement` behaves much like a [`Sample`](@ref) but has no core count. It represents observed values for a sample, after measurement noise is applied, and is produced by the [`measure`](@ref) methods. Concentrations flagged in `censored` were below the detection limit and hold the detection limit itself. The `censored` field is newer than the others; `Measurement(concentrations, mass)` still works and flags nothing as censored.
 
 The fields are
 $(FIELDS)"""
 struct Measurement{𝒩,𝒦,𝒯}
     concentrations::NamedTuple{𝒦,NTuple{𝒩,𝒯}}
     mass::𝒯
+    censored::NamedTuple{𝒦,NTuple{𝒩,Bool}}
+end
+
+function Measurement(
+    concentrations::NamedTuple{𝒦,NTuple{𝒩,𝒯}},
+    mass::𝒯,
+) where {𝒩,𝒦,𝒯}
+    Measurement(concentrations, mass, map(_ -> false, concentrations))
 end
 
 # indexing into the sample passes directly through to the concentrations
@@ -47,7 +111,8 @@ function show(io::IO, meas::Measurement{𝒩,𝒦,𝒯}) where {𝒩,𝒦,𝒯}
     L = map(length ∘ string, 𝒦) |> maximum
     for (n, k) ∈ 𝒦 |> enumerate
         stick = (n < 𝒩) ? "├─" : "└─"
-        println(io, "$stick $(rpad(k, L)) = $(meas[k])")
+        below = meas.censored[k] ? "< " : ""
+        println(io, "$stick $(rpad(k, L)) = $below$(meas[k])")
     end
 end
 
@@ -71,4 +136,26 @@ function measure(
     Measurement(conc, noise(rng, sample.mass, σₘ))
 end
 
+"""$(TYPEDSIGNATURES)
+Computes measured analyte concentrations from a `Sample` with a [`MeasurementError`](@ref) model for each analyte, a named tuple with one model for each analyte in the sample. Concentrations below an analyte's detection limit (or not positive) are censored: they are reported as the detection limit and flagged in the `censored` field of the returned [`Measurement`](@ref). The measured sample mass noise is defined by relative standard deviation `σₘ`."""
+function measure(
+    rng::AbstractRNG,
+    sample::Sample{𝒩,𝒦},
+    errors::NamedTuple{𝒦,<:NTuple{𝒩,MeasurementError{𝒯}}},
+    σₘ::𝒯,
+) where {𝒩,𝒦,𝒯<:Real}
+    y = ntuple(j -> noise(rng, sample[j], errors[j]), 𝒩)
+    censored = ntuple(𝒩) do j
+        y[j] < errors[j].detectionlimit || !ispositive(y[j])
+    end
+    conc = ntuple(𝒩) do j
+        censored[j] ? errors[j].detectionlimit : y[j]
+    end
+    Measurement(
+        conc |> NamedTuple{𝒦},
+        noise(rng, sample.mass, σₘ),
+        censored |> NamedTuple{𝒦},
+    )
+end
+
 end
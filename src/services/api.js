@@ -2,20 +2,294 @@ import axios from 'axios'
 
 const API_BASE_URL = '/api'
 
-export const runSimulation = async (params) => {
+// Version of the simulation spec format (server/spec/simulation-spec.schema.json)
+export const SPEC_VERSION = 2
+
+const TERMINAL_STATES = ['succeeded', 'failed', 'cancelled']
+
+export const isJobFinished = (job) => TERMINAL_STATES.includes(job?.status)
+
+const toError = (error, fallback) => {
+  if (error.response) {
+    const err = new Error(error.response.data.error || fallback)
+    // field-level validation errors, keyed by field path
+    err.fields = error.response.data.fields || null
+    return err
+  } else if (error.request) {
+    return new Error('No response from server. Please check if Julia and Monty are installed.')
+  } else {
+    return new Error('Request failed: ' + error.message)
+  }
+}
+
+export const submitJob = async (params) => {
   try {
-    const response = await axios.post(`${API_BASE_URL}/simulate`, params, {
-      timeout: 300000, // 5 minutes timeout for long simulations
+    const response = await axios.post(`${API_BASE_URL}/jobs`, { version: SPEC_VERSION, ...params })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to submit simulation')
+  }
+}
+
+export const getJob = async (id) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/jobs/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to get job status')
+  }
+}
+
+export const cancelJob = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/jobs/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to cancel job')
+  }
+}
+
+// Formats of GET /api/jobs/:id/export
+export const EXPORT_FORMATS = [
+  { format: 'json', label: 'JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'netcdf', label: 'NetCDF' },
+  { format: 'parquet', label: 'Parquet' }
+]
+
+// Downloads a finished job's results in `format`. Returns the file as a Blob
+// with the name the server gave it.
+export const exportJob = async (id, format) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/jobs/${id}/export`, {
+      params: { format },
+      responseType: 'blob'
+    })
+    const disposition = response.headers['content-disposition'] || ''
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `results.${format}`
+    return { blob: response.data, filename }
+  } catch (error) {
+    // error bodies arrive as Blobs too
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text())
+      } catch {
+        error.response.data = {}
+      }
+    }
+    throw toError(error, `Failed to export results as ${format}`)
+  }
+}
+
+// Subscribes to a job's Server-Sent Events stream. `onUpdate` receives every
+// job state (without results) and `onProgress` each progress report. Returns
+// a function that closes the stream.
+export const subscribeJob = (id, { onUpdate, onProgress, onError } = {}) => {
+  const source = new EventSource(`${API_BASE_URL}/jobs/${id}/events`)
+  source.addEventListener('job', (event) => onUpdate?.(JSON.parse(event.data)))
+  source.addEventListener('progress', (event) => onProgress?.(JSON.parse(event.data)))
+  source.onerror = () => {
+    // the browser retries dropped connections on its own unless it gave up
+    if (source.readyState === EventSource.CLOSED) {
+      onError?.(new Error('Lost connection to the simulation job'))
+    }
+  }
+  return () => source.close()
+}
+
+// Waits for a job to finish, reporting its state and progress along the way.
+// Resolves with the final job, or null if `signal` is aborted first.
+export const watchJob = (id, { onUpdate, onProgress, signal } = {}) => {
+  return new Promise((resolve, reject) => {
+    const close = subscribeJob(id, {
+      onUpdate: (job) => {
+        onUpdate?.(job)
+        if (isJobFinished(job)) {
+          close()
+          resolve(job)
+        }
+      },
+      onProgress,
+      onError: (error) => {
+        close()
+        reject(error)
+      }
     })
+    signal?.addEventListener('abort', () => {
+      close()
+      resolve(null)
+    }, { once: true })
+  })
+}
+
+// Follows a submitted job to its end and fetches its result. Resolves with
+// null if the job was cancelled or `signal` aborted first.
+const jobResult = async (job, { onUpdate, onProgress, signal }, failure) => {
+  onUpdate?.(job)
+  const finished = await watchJob(job.id, { onUpdate, onProgress, signal })
+  if (!finished || finished.status === 'cancelled') return null
+  if (finished.status !== 'succeeded') {
+    throw new Error(finished.error || failure)
+  }
+  const { result } = await getJob(job.id)
+  return result
+}
+
+// Runs a single simulation; any sweep in `params` is left out
+export const runSimulation = async ({ sweep, ...params }, options = {}) => {
+  return jobResult(await submitJob(params), options, 'Simulation failed')
+}
+
+// Version of the sensitivity spec format (server/spec/sensitivity-spec.schema.json)
+export const SENSITIVITY_SPEC_VERSION = 1
+
+export const submitSensitivity = async (params) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/sensitivity`, { version: SENSITIVITY_SPEC_VERSION, ...params })
     return response.data
   } catch (error) {
-    if (error.response) {
-      throw new Error(error.response.data.error || 'Simulation failed')
-    } else if (error.request) {
-      throw new Error('No response from server. Please check if Julia and Monty are installed.')
-    } else {
-      throw new Error('Request failed: ' + error.message)
+    throw toError(error, 'Failed to submit sensitivity analysis')
+  }
+}
+
+// Runs a sensitivity analysis of the mixing model as a job
+export const runSensitivity = async (params, options = {}) => {
+  return jobResult(await submitSensitivity(params), options, 'Sensitivity analysis failed')
+}
+
+// Version of the calibration spec format (server/spec/calibration-spec.schema.json)
+export const CALIBRATION_SPEC_VERSION = 1
+
+export const submitCalibration = async (params) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/calibrations`, { version: CALIBRATION_SPEC_VERSION, ...params })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to submit calibration')
+  }
+}
+
+// Calibrates simulation inputs against observed samples as a job
+export const runCalibration = async (params, options = {}) => {
+  return jobResult(await submitCalibration(params), options, 'Calibration failed')
+}
+
+export const submitSweep = async (params) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/sweeps`, { version: SPEC_VERSION, ...params })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to submit sweep')
+  }
+}
+
+export const getSweep = async (id) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/sweeps/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to get sweep status')
+  }
+}
+
+export const cancelSweep = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/sweeps/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to cancel sweep')
+  }
+}
+
+// Runs a parameter sweep, reporting the sweep with the metrics of its finished
+// runs through `onUpdate` as they come in. Resolves with the finished sweep,
+// or null if `signal` is aborted first.
+export const runSweep = async (params, { onUpdate, signal } = {}) => {
+  const sweep = await submitSweep(params)
+  onUpdate?.(sweep)
+  if (isJobFinished(sweep)) return sweep
+
+  return new Promise((resolve, reject) => {
+    const source = new EventSource(`${API_BASE_URL}/sweeps/${sweep.id}/events`)
+    source.addEventListener('sweep', (event) => {
+      const updated = JSON.parse(event.data)
+      onUpdate?.(updated)
+      if (isJobFinished(updated)) {
+        source.close()
+        resolve(updated)
+      }
+    })
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        reject(new Error('Lost connection to the parameter sweep'))
+      }
     }
+    signal?.addEventListener('abort', () => {
+      source.close()
+      resolve(null)
+    }, { once: true })
+  })
+}
+
+// Saved runs, newest first, optionally only those of a `kind` or with a `tag`
+export const listRuns = async ({ kind, tag } = {}) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/runs`, { params: { kind, tag } })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to list saved runs')
+  }
+}
+
+export const getRun = async (id) => {
+  try {
+    const response = await axios.get(`${API_BASE_URL}/runs/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to open saved run')
+  }
+}
+
+// Renames or retags a saved run with `{ name, tags }`
+export const updateRun = async (id, changes) => {
+  try {
+    const response = await axios.patch(`${API_BASE_URL}/runs/${id}`, changes)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to update saved run')
+  }
+}
+
+export const deleteRun = async (id) => {
+  try {
+    const response = await axios.delete(`${API_BASE_URL}/runs/${id}`)
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to delete saved run')
+  }
+}
+
+// Compares saved simulation runs `ids` against the first of them
+export const compareRuns = async (ids) => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/runs/compare`, { ids })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to compare runs')
+  }
+}
+
+// Checks and parses a CSV of observed samples against a simulation's
+// `analytes`, with concentrations in `units` ('ppm' or 'kg/kg')
+export const uploadObservations = async (csv, analytes, units = 'ppm') => {
+  try {
+    const response = await axios.post(`${API_BASE_URL}/observations`, csv, {
+      params: { analytes: analytes.join(','), units },
+      headers: { 'Content-Type': 'text/csv' }
+    })
+    return response.data
+  } catch (error) {
+    throw toError(error, 'Failed to read observations')
   }
 }
 
@@ -26,4 +300,4 @@ export const getSimulationStatus = async () => {
   } catch (error) {
     throw new Error('Failed to get simulation status')
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,195 @@
+// Field outlines for simulation specs: rings of [x, y] vertices in metres
+
+const EARTH_RADIUS = 6371008.8
+
+const round = (x) => Math.round(x * 100) / 100
+
+// Area of a ring (m²)
+export const polygonArea = (ring) => {
+  let sum = 0
+  ring.forEach(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length]
+    sum += x1 * y2 - x2 * y1
+  })
+  return Math.abs(sum) / 2
+}
+
+export const bounds = (ring) => {
+  const xs = ring.map(([x]) => x)
+  const ys = ring.map(([, y]) => y)
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) }
+}
+
+// A field in longitude/latitude spans a small fraction of a degree, while one
+// in metres spans more than a metre
+const isLonLat = ({ minX, maxX, minY, maxY }) =>
+  minX >= -180 && maxX <= 180 && minY >= -90 && maxY <= 90 &&
+  maxX - minX < 0.5 && maxY - minY < 0.5
+
+// Frame an outline file is drawn in: the centre of the outline's bounding box,
+// and whether its coordinates are longitude/latitude or metres
+export const frameOf = (ring) => {
+  const box = bounds(ring)
+  return { x0: (box.minX + box.maxX) / 2, y0: (box.minY + box.maxY) / 2, lonLat: isLonLat(box) }
+}
+
+// Moves a ring so that the centre of `frame`, by default the ring's own
+// bounding box, is at the origin. Rings in longitude/latitude are projected to
+// metres first, with an equirectangular projection that is accurate enough at
+// field scale.
+export const toLocalMetres = (ring, { x0, y0, lonLat } = frameOf(ring)) => {
+  if (lonLat) {
+    const rad = Math.PI / 180
+    const scale = Math.cos(y0 * rad)
+    return ring.map(([lon, lat]) => [
+      round(EARTH_RADIUS * (lon - x0) * rad * scale),
+      round(EARTH_RADIUS * (lat - y0) * rad)
+    ])
+  }
+  return ring.map(([x, y]) => [round(x - x0), round(y - y0)])
+}
+
+// Outer ring of the single polygon in a list of polygons, each a list of rings
+const singlePolygon = (polygons) => {
+  if (polygons.length !== 1) {
+    throw new Error(`Expected a single field polygon, found ${polygons.length}`)
+  }
+  const [outer, ...holes] = polygons[0]
+  if (holes.length > 0) throw new Error('Polygons with holes are not supported')
+  return outer
+}
+
+// Polygons of a GeoJSON object: a geometry, Feature or FeatureCollection
+const geoJSONPolygons = (object) => {
+  switch (object?.type) {
+    case 'FeatureCollection':
+      return object.features.flatMap(geoJSONPolygons)
+    case 'Feature':
+      return geoJSONPolygons(object.geometry)
+    case 'Polygon':
+      return [object.coordinates]
+    case 'MultiPolygon':
+      return object.coordinates
+    default:
+      return []
+  }
+}
+
+export const parseGeoJSON = (text) => {
+  const ring = singlePolygon(geoJSONPolygons(JSON.parse(text)))
+  return ring.map(([x, y]) => [x, y])
+}
+
+// POLYGON ((x y, ...)) or a MULTIPOLYGON with a single polygon
+export const parseWKT = (text) => {
+  const match = text.trim().match(/^(MULTI)?POLYGON\s*(Z|M|ZM)?\s*\((.*)\)$/is)
+  if (!match) throw new Error('Expected a WKT POLYGON or MULTIPOLYGON')
+  const polygons = match[1]
+    ? match[3].split(/\)\s*\)\s*,\s*\(\s*\(/).map(p => p.replace(/^\s*\(|\)\s*$/g, ''))
+    : [match[3]]
+  const rings = polygons.map(polygon =>
+    polygon.split(/\)\s*,\s*\(/).map(ring =>
+      ring.replace(/[()]/g, '').split(',').map(vertex => {
+        const [x, y] = vertex.trim().split(/\s+/).map(Number)
+        if (!isFinite(x) || !isFinite(y)) throw new Error(`Invalid WKT vertex "${vertex.trim()}"`)
+        return [x, y]
+      })
+    )
+  )
+  return singlePolygon(rings)
+}
+
+// Drops the closing vertex that GeoJSON and WKT rings repeat
+const openRing = (ring) => {
+  const [first, last] = [ring[0], ring[ring.length - 1]]
+  return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring
+}
+
+const frameUnits = ({ lonLat }) => (lonLat ? 'longitude/latitude' : 'metres')
+
+// Outline in local metres from the text of a GeoJSON or WKT file, with the
+// frame it was moved from. Outlines that must keep their place next to
+// another one, such as a control zone next to its field, pass the other
+// outline's `frame`, whose units they must share.
+export const parseFieldFile = (text, frame) => {
+  const ring = openRing(text.trim().startsWith('{') ? parseGeoJSON(text) : parseWKT(text))
+  const own = frameOf(ring)
+  if (frame && frame.lonLat !== own.lonLat) {
+    throw new Error(`the outline is in ${frameUnits(own)} but the field is in ${frameUnits(frame)}`)
+  }
+  return { coordinates: toLocalMetres(ring, frame ?? own), frame: frame ?? own }
+}
+
+// Regular polygon approximating a circle around the origin
+export const circleRing = (radius, n = 64) =>
+  Array.from({ length: n }, (_, i) => {
+    const angle = (2 * Math.PI * i) / n
+    return [round(radius * Math.cos(angle)), round(radius * Math.sin(angle))]
+  })
+
+// Whether a point is inside a ring, by ray casting
+export const contains = (ring, [x, y]) => {
+  let inside = false
+  ring.forEach(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length]
+    if ((y1 > y) !== (y2 > y) && x < x1 + ((y - y1) * (x2 - x1)) / (y2 - y1)) {
+      inside = !inside
+    }
+  })
+  return inside
+}
+
+// Small seeded generator of uniform numbers in [0, 1) (mulberry32)
+export const seededRandom = (seed) => {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Random point inside a ring, by sampling its bounding box
+export const randomPointIn = (ring, random, box = bounds(ring)) => {
+  for (let i = 0; i < 10000; i++) {
+    const point = [
+      box.minX + random() * (box.maxX - box.minX),
+      box.minY + random() * (box.maxY - box.minY)
+    ]
+    if (contains(ring, point)) return point
+  }
+  return null
+}
+
+// Points of a grid of nx by ny cells over a ring's bounding box, one for each
+// cell overlapping the ring: the centroid of the overlapping part of the cell
+// (approximated on a 5 by 5 lattice), or a random point in it
+export const gridPoints = (ring, nx, ny, placement = 'centroid', random = Math.random) => {
+  const { minX, maxX, minY, maxY } = bounds(ring)
+  const [dx, dy] = [(maxX - minX) / nx, (maxY - minY) / ny]
+  const points = []
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      const cell = { minX: minX + i * dx, maxX: minX + (i + 1) * dx, minY: minY + j * dy, maxY: minY + (j + 1) * dy }
+      const lattice = []
+      for (let a = 0; a < 5; a++) {
+        for (let b = 0; b < 5; b++) {
+          const point = [cell.minX + (a + 0.5) * dx / 5, cell.minY + (b + 0.5) * dy / 5]
+          if (contains(ring, point)) lattice.push(point)
+        }
+      }
+      if (lattice.length === 0) continue
+      if (placement === 'random') {
+        points.push(randomPointIn(ring, random, cell) ?? lattice[0])
+      } else {
+        points.push([
+          lattice.reduce((sum, [x]) => sum + x, 0) / lattice.length,
+          lattice.reduce((sum, [, y]) => sum + y, 0) / lattice.length
+        ])
+      }
+    }
+  }
+  return points
+}
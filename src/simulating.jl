@@ -430,7 +430,19 @@ function soilconcentration!(
 end
 
 """$(TYPEDSIGNATURES)
-Sets soil analyte concentrations using a [`GaussianSimulator`](@ref)"""
+Sets soil concentrations of one analyte using a [`GaussianSimulator`](@ref)"""
+function soilconcentration!(
+    rng::AbstractRNG,
+    sim::Simulation{𝒯},
+    analyte::Symbol,
+    gs::GaussianSimulator{𝒯},
+)::Nothing where {𝒯}
+    rand!(rng, gs, view(sim.cs[analyte], :))
+    nothing
+end
+
+"""$(TYPEDSIGNATURES)
+Sets soil analyte concentrations using a [`GaussianCosimulator`](@ref)"""
 function soilconcentration!(
     rng::AbstractRNG,
     sim::Simulation{𝒯},
@@ -575,11 +587,11 @@ end
 export measure!
 
 """$(TYPEDSIGNATURES)
-Executes the composite sample measurement process internally in a [`Simulation`](@ref) using a tuple of relative standard deviations for analytes and a relative standard deviation for the mass"""
+Executes the composite sample measurement process internally in a [`Simulation`](@ref) using a tuple of relative standard deviations or [`MeasurementError`](@ref) models for analytes and a relative standard deviation for the mass"""
 function measure!(
     rng::AbstractRNG,
     sim::Simulation{𝒯,𝒩,𝒦},
-    σ::NamedTuple{𝒦,NTuple{𝒩,𝒯}},
+    σ::NamedTuple{𝒦,<:NTuple{𝒩,Union{𝒯,MeasurementError{𝒯}}}},
     σₘ::𝒯,
 )::Nothing where {𝒯,𝒩,𝒦}
     @unpack composites, measurements = sim
@@ -600,7 +612,7 @@ Executes the entire core collection, compositing, and measurement sequence. That
 function analyze!(
     rng::AbstractRNG,
     sim::Simulation{𝒯,𝒩,𝒦},
-    σ::NamedTuple{𝒦,NTuple{𝒩,𝒯}},
+    σ::NamedTuple{𝒦,<:NTuple{𝒩,Union{𝒯,MeasurementError{𝒯}}}},
     args...,
 )::Nothing where {𝒯,𝒩,𝒦}
     core!(sim)
@@ -286,6 +286,52 @@ end
         @test isapprox(std(getindex.(M, :x)), 10.0, rtol=1e-2)
         @test isapprox(std(getindex.(M, :y)), 2.0, rtol=1e-2)
         @test isapprox(std(getfield.(M, :mass)), 1.0, rtol=1e-2)
+        @test !any(m -> any(m.censored), M)
+    end
+
+    @testset "MeasurementError" begin
+        @test_throws AssertionError MeasurementError(relative=-0.01)
+        @test_throws AssertionError MeasurementError(replicates=0)
+        @test_throws AssertionError MeasurementError(detectionlimit=-1.0)
+
+        # relative error alone matches the plain relative noise, up to
+        # rounding: the plain noise is x * (σᵣ * z) and the error model's is
+        # √((σᵣ * x)²) * z, which multiply in a different order. The mass
+        # noise goes through the same path in both.
+        core = singlecore((x=1000.0, y=200.0), 100.0)
+        e = MeasurementError(relative=0.01)
+        A = measure(Xoshiro(1), core, (x=0.01, y=0.01), 0.01)
+        B = measure(Xoshiro(1), core, (x=e, y=e), 0.01)
+        @test all(map(≈, A.concentrations, B.concentrations))
+        @test A.mass == B.mass
+
+        # absolute and relative errors add in quadrature, and replicates
+        # average the noise down
+        rng = Xoshiro(1)
+        e = MeasurementError(relative=0.01, absolute=5.0, replicates=4)
+        y = map(_ -> noise(rng, 1000.0, e), 1:NRAND)
+        @test isapprox(mean(y), 1000.0, rtol=1e-3)
+        @test isapprox(std(y), sqrt(10.0^2 + 5.0^2) / 2, rtol=1e-2)
+    end
+
+    @testset "Censoring" begin
+        rng = Xoshiro(1)
+        core = singlecore((x=1.0, y=200.0), 100.0)
+        errors = (
+            x=MeasurementError(relative=0.01, detectionlimit=2.0),
+            y=MeasurementError(relative=0.01, detectionlimit=2.0),
+        )
+        M = map(_ -> measure(rng, core, errors, 0.01), 1:1000)
+        @test all(m -> m.censored.x && m[:x] == 2.0, M)
+        @test !any(m -> m.censored.y, M)
+
+        # values that are not positive are censored at a zero limit
+        core = singlecore((x=1.0, y=200.0), 100.0)
+        errors = (x=MeasurementError(absolute=10.0), y=MeasurementError())
+        M = map(_ -> measure(rng, core, errors, 0.01), 1:1000)
+        @test any(m -> m.censored.x, M)
+        @test all(m -> m.censored.x == (m[:x] == 0.0), M)
+        @test all(m -> m[:x] >= 0.0, M)
     end
 end
 
@@ -521,6 +567,26 @@ end
         @test 0.5 |> moisturefraction |> moistureratio ≈ 0.5
         @test 0.5 |> moistureratio |> moisturefraction ≈ 0.5
     end
+
+    @testset "Soil Concentration" begin
+        rng = Xoshiro(3)
+        points = randn(rng, 2, 10) |> PointSet |> collect
+        plan = pairedsampleplan(points, [0.0, 1.0])
+        samp = CoreSet(plan, 1)
+        executeplan!(samp, plan)
+        sim = Simulation((:Ca, :Mg), samp)
+        c = ExponentialCovariance(nugget=0.01, sill=0.25, range=1.0)
+        gs = GaussianSimulator(samp, 2.0)
+        updategaussian!(gs, samp.points, c)
+        y = Matrix{Float64}(undef, length(samp.points), NRAND ÷ 100)
+        for j ∈ axes(y, 2)
+            soilconcentration!(rng, sim, :Ca, gs)
+            y[:, j] .= view(sim.cs[:Ca], :)
+        end
+        @test all(isapprox.(mean(y, dims=2), 2.0, atol=2e-2))
+        @test all(isapprox.(std(y, dims=2), 0.5, atol=2e-2))
+        @test all(isnan, sim.cs[:Mg])
+    end
 end
 
 @testset "CDRPotential" begin